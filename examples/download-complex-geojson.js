@@ -69,7 +69,7 @@ async function processFeatures(geojson, downloader, tileMapName, minZoom, maxZoo
       features: [feature]
     };
     
-    // Download tiles for this feature
+    // Download tiles for this feature, at its own zoom range if it has one
     const stats = await downloader.downloadTilesForGeoJSON(tileMapName, featureGeoJson, minZoom, maxZoom);
     
     // Print a new line after the progress bar
@@ -117,7 +117,7 @@ async function main() {
     // Load the GeoJSON file
     const geojson = await fs.readJson(geojsonPath);
     
-    // Set zoom levels
+    // Set zoom levels for features without "minzoom"/"maxzoom" properties
     const minZoom = 10;
     const maxZoom = 12; // Using a smaller max zoom for the example
     
@@ -6,13 +6,39 @@
 import { loadConfig } from './src/config.js';
 import { TileDownloader } from './src/downloader.js';
 import { BoundingBoxCalculator } from './src/geo.js';
+import { TileStorage, getTileStorage } from './src/storage.js';
+import { DownloadJob } from './src/jobs.js';
+import { loadJobSpec } from './src/jobspec.js';
+import { CacheMigrator } from './src/migrate.js';
+import { MBTilesExporter } from './src/mbtiles.js';
+import { TileEstimator } from './src/estimate.js';
+import { CacheVerifier } from './src/verify.js';
+import { CacheLock } from './src/lock.js';
+import { CacheDeduplicator } from './src/dedup.js';
+import { CacheInspector } from './src/inspect.js';
+import { CacheCoverage } from './src/coverage.js';
+import { TileServer, TileProxyServer } from './src/server.js';
 import { run } from './src/cli.js';
 
 // Export the main modules
 export {
   loadConfig,
   TileDownloader,
+  DownloadJob,
+  loadJobSpec,
   BoundingBoxCalculator,
+  TileStorage,
+  getTileStorage,
+  CacheMigrator,
+  MBTilesExporter,
+  TileEstimator,
+  CacheVerifier,
+  CacheLock,
+  CacheDeduplicator,
+  CacheInspector,
+  CacheCoverage,
+  TileServer,
+  TileProxyServer,
   run
 };
 
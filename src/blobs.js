@@ -0,0 +1,100 @@
+/**
+ * Content-addressed tile store for the Geo Tile Downloader
+ *
+ * With deduplication, every distinct tile content is kept once as
+ * {TileCacheFolder}/.blobs/{hh}/{sha256} and the tile files of all tile maps
+ * are hard links to it, so identical tiles (ocean, desert, blank labels) take
+ * the space of one. Tile paths stay the same, so everything that reads the
+ * cache works unchanged.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { writeFileAtomic, linkFileAtomic } from './tempfiles.js';
+import { hashTile } from './validation.js';
+
+const BLOBS_FOLDER_NAME = '.blobs';
+
+// Errors of file systems without hard links, or with too many links to one file,
+// on which tiles are written as plain files instead
+const LINK_UNSUPPORTED_ERRORS = new Set(['EXDEV', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP', 'EMLINK']);
+
+/**
+ * Get the folder of the content store of a cache folder
+ * @param {string} cacheFolder The tile cache folder
+ * @returns {string} The content store folder
+ */
+function getBlobsFolder(cacheFolder) {
+  return path.join(cacheFolder, BLOBS_FOLDER_NAME);
+}
+
+/**
+ * Get the path of a tile content in the content store
+ * @param {string} cacheFolder The tile cache folder
+ * @param {string} hash The SHA-256 hash of the content, see hashTile()
+ * @returns {string} The content file path
+ */
+function getBlobPath(cacheFolder, hash) {
+  return path.join(getBlobsFolder(cacheFolder), hash.slice(0, 2), hash);
+}
+
+/**
+ * Check whether a failed link means that the file system cannot link the file
+ * @param {Error} error The error of the link
+ * @returns {boolean} Whether the tile has to be stored as a plain file
+ */
+function isLinkUnsupported(error) {
+  return LINK_UNSUPPORTED_ERRORS.has(error.code);
+}
+
+/**
+ * Write a tile as a hard link to its content in the content store
+ *
+ * The content is added to the store if it is new. Where the file system
+ * cannot link it, the tile is written as a plain file.
+ * @param {string} cacheFolder The tile cache folder
+ * @param {string} filePath The tile file path
+ * @param {Buffer} data The tile data
+ * @param {string} tempFolder The temp folder of the cache
+ * @returns {Promise<void>}
+ */
+async function writeBlobTile(cacheFolder, filePath, data, tempFolder) {
+  const blobPath = getBlobPath(cacheFolder, hashTile(data));
+
+  try {
+    if (!await fs.pathExists(blobPath)) {
+      await writeFileAtomic(blobPath, data, tempFolder);
+    }
+    await linkFileAtomic(blobPath, filePath, tempFolder);
+  } catch (error) {
+    if (!isLinkUnsupported(error)) {
+      throw error;
+    }
+    await writeFileAtomic(filePath, data, tempFolder);
+  }
+}
+
+/**
+ * Walk every content in the content store
+ * @param {string} cacheFolder The tile cache folder
+ * @returns {AsyncGenerator<Object>} Contents {hash, filePath}
+ */
+async function* walkBlobs(cacheFolder) {
+  const blobsFolder = getBlobsFolder(cacheFolder);
+  if (!await fs.pathExists(blobsFolder)) {
+    return;
+  }
+
+  for (const prefix of (await fs.readdir(blobsFolder)).sort()) {
+    const prefixFolder = path.join(blobsFolder, prefix);
+    if (!(await fs.stat(prefixFolder)).isDirectory()) {
+      continue;
+    }
+
+    for (const hash of (await fs.readdir(prefixFolder)).sort()) {
+      yield { hash, filePath: path.join(prefixFolder, hash) };
+    }
+  }
+}
+
+export { getBlobsFolder, getBlobPath, isLinkUnsupported, writeBlobTile, walkBlobs };
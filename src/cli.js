@@ -4,10 +4,40 @@
 
 import fs from 'fs-extra';
 import path from 'path';
+import readline from 'readline/promises';
 import { fileURLToPath } from 'url';
-import { loadConfig } from './config.js';
+import { loadConfig, parseTimeSpan } from './config.js';
 import { TileDownloader } from './downloader.js';
-import { BoundingBoxCalculator } from './geo.js';
+import { BoundingBoxCalculator, validateBoundingBox, validateZoomRange } from './geo.js';
+import { MBTilesExporter } from './mbtiles.js';
+import { TileServer, TileProxyServer } from './server.js';
+import { CacheMigrator } from './migrate.js';
+import { DownloadJob } from './jobs.js';
+import { loadJobSpec } from './jobspec.js';
+import { TileEstimator } from './estimate.js';
+import { CacheVerifier } from './verify.js';
+import { CacheLock } from './lock.js';
+import { CacheDeduplicator } from './dedup.js';
+import { CacheInspector } from './inspect.js';
+import { CacheCoverage } from './coverage.js';
+import { removeStaleTempFiles } from './tempfiles.js';
+
+// Number of tiles above which a new job asks for confirmation
+const DEFAULT_CONFIRM_TILES = 100000;
+
+// Commands that write to the tile cache and therefore hold its lock
+const CACHE_WRITING_COMMANDS = new Set([
+  'download-bbox',
+  'download-geojson',
+  'refresh',
+  'retry-failed',
+  'run-job',
+  'resume',
+  'migrate-cache',
+  'verify-cache',
+  'dedup-cache',
+  'proxy'
+]);
 
 // Get the directory name of the current module
 const __filename = fileURLToPath(import.meta.url);
@@ -21,20 +51,220 @@ function parseArgs() {
   const args = process.argv.slice(2);
   const parsedArgs = {
     command: args[0],
+    positionals: [],
     options: {}
   };
 
-  for (let i = 1; i < args.length; i += 2) {
+  for (let i = 1; i < args.length; i++) {
     if (args[i].startsWith('--')) {
       const key = args[i].slice(2);
       const value = args[i + 1];
-      parsedArgs.options[key] = value;
+
+      // Options without a value (e.g. --dry-run) are boolean flags
+      if (value === undefined || value.startsWith('--')) {
+        parsedArgs.options[key] = true;
+      } else {
+        parsedArgs.options[key] = value;
+        i++;
+      }
+    } else {
+      parsedArgs.positionals.push(args[i]);
     }
   }
 
   return parsedArgs;
 }
 
+/**
+ * Parse a --bbox value
+ * @param {string} value The bounding box as "minLon,minLat,maxLon,maxLat"
+ * @returns {Array<number>} The bounding box
+ */
+function parseBoundingBox(value) {
+  const bbox = String(value).split(',').map(part => part.trim() === '' ? NaN : Number(part));
+  if (bbox.length !== 4 || !bbox.every(Number.isFinite)) {
+    throw new Error(`Invalid bounding box "${value}", expected four numbers "minLon,minLat,maxLon,maxLat"`);
+  }
+  validateBoundingBox(bbox);
+  return bbox;
+}
+
+/**
+ * Parse the --min-zoom and --max-zoom options
+ * @param {Object} options The parsed options
+ * @returns {Array<number>} The zoom range [minZoom, maxZoom]
+ */
+function parseZoomRange(options) {
+  const parseZoom = (value, defaultValue) => {
+    if (value === undefined) {
+      return defaultValue;
+    }
+    if (!/^\d+$/.test(String(value).trim())) {
+      throw new Error(`Invalid zoom level "${value}", expected a whole number`);
+    }
+    return parseInt(value);
+  };
+
+  const minZoom = parseZoom(options['min-zoom'], 0);
+  const maxZoom = parseZoom(options['max-zoom'], 18);
+  validateZoomRange(minZoom, maxZoom);
+  return [minZoom, maxZoom];
+}
+
+/**
+ * Parse a zoom level or range option, e.g. "12" or "10-14"
+ * @param {string} value The option value
+ * @returns {Array<number>} The zoom range [minZoom, maxZoom]
+ */
+function parseZoomFilter(value) {
+  const match = String(value).trim().match(/^(\d+)(?:-(\d+))?$/);
+  if (!match) {
+    throw new Error(`Invalid zoom "${value}", expected a zoom level or a range "min-max"`);
+  }
+
+  const minZoom = parseInt(match[1]);
+  const maxZoom = match[2] === undefined ? minZoom : parseInt(match[2]);
+  validateZoomRange(minZoom, maxZoom);
+  return [minZoom, maxZoom];
+}
+
+/**
+ * Read a GeoJSON file
+ * @param {string} geojsonPath The file path
+ * @returns {Promise<Object>} The GeoJSON object
+ */
+async function readGeoJSON(geojsonPath) {
+  if (!await fs.pathExists(geojsonPath)) {
+    throw new Error(`GeoJSON file not found: ${geojsonPath}`);
+  }
+
+  try {
+    return JSON.parse(await fs.readFile(geojsonPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid GeoJSON file ${geojsonPath}: ${error.message}`);
+  }
+}
+
+/**
+ * Parse a --buffer value
+ * @param {string} value Meters, e.g. "250", or per zoom level, e.g. "0:1000,14:100"
+ * @returns {number|Object} The buffer distance, or an object mapping zoom levels to distances
+ */
+function parseBuffer(value) {
+  const parseMeters = text => {
+    const meters = Number(text);
+    if (text.trim() === '' || !Number.isFinite(meters) || meters < 0) {
+      throw new Error(`Invalid buffer distance "${text}", expected a number of meters`);
+    }
+    return meters;
+  };
+
+  if (!value.includes(':')) {
+    return parseMeters(value);
+  }
+
+  const buffer = {};
+  for (const entry of value.split(',')) {
+    const [zoom, meters] = entry.split(':');
+    if (!/^\d+$/.test(zoom.trim()) || meters === undefined) {
+      throw new Error(`Invalid buffer "${entry}", expected "zoom:meters"`);
+    }
+    buffer[parseInt(zoom)] = parseMeters(meters);
+  }
+  return buffer;
+}
+
+/**
+ * Parse the --min-zoom-property, --max-zoom-property and --tilemap-property options
+ * @param {Object} options The parsed options
+ * @returns {Object} The feature property names {minZoom, maxZoom, tileMap} that were set; "none" turns one off
+ */
+function parseFeatureProperties(options) {
+  const names = { minZoom: 'min-zoom-property', maxZoom: 'max-zoom-property', tileMap: 'tilemap-property' };
+  const properties = {};
+
+  for (const [key, option] of Object.entries(names)) {
+    const value = options[option];
+    if (value === undefined) {
+      continue;
+    }
+    if (value === true || String(value).trim() === '') {
+      throw new Error(`--${option} requires a property name, or "none"`);
+    }
+    properties[key] = value === 'none' ? null : value;
+  }
+  return properties;
+}
+
+/**
+ * Parse a whole number option
+ * @param {string} name The option name
+ * @param {string} value The option value
+ * @returns {number} The number
+ */
+function parseCount(name, value) {
+  if (!/^\d+$/.test(String(value).trim())) {
+    throw new Error(`Invalid --${name} "${value}", expected a whole number`);
+  }
+  return parseInt(value);
+}
+
+/**
+ * Parse a --max-bytes value
+ * @param {string} value Bytes, optionally with a unit, e.g. "500MB" or "1.5GB"
+ * @returns {number} The number of bytes
+ */
+function parseByteSize(value) {
+  const units = { B: 1, KB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4 };
+  const match = /^(\d+(?:\.\d+)?)\s*([KMGT]?B)?$/i.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid size "${value}", expected bytes or a size like "500MB"`);
+  }
+  return Math.round(parseFloat(match[1]) * units[(match[2] || 'B').toUpperCase()]);
+}
+
+/**
+ * Parse the --max-tiles and --max-bytes options
+ * @param {Object} options The parsed options
+ * @returns {Object} The budgets {maxTiles, maxBytes} that were set
+ */
+function parseLimits(options) {
+  const limits = {};
+  if (options['max-tiles'] !== undefined) {
+    limits.maxTiles = parseCount('max-tiles', options['max-tiles']);
+  }
+  if (options['max-bytes'] !== undefined) {
+    limits.maxBytes = parseByteSize(options['max-bytes']);
+  }
+  return limits;
+}
+
+/**
+ * Create the confirmation asked before a new job with many tiles starts
+ * @param {number} threshold The number of tiles above which to ask
+ * @returns {Function} The confirmation callback for TileDownloader.setConfirmCallback()
+ */
+function createConfirmCallback(threshold) {
+  return async ({ totalTiles, exact }) => {
+    if (totalTiles <= threshold) {
+      return true;
+    }
+
+    const size = exact ? `${totalTiles} tiles, more than ${threshold}` : `more than ${threshold} tiles`;
+    if (!process.stdin.isTTY) {
+      throw new Error(`The job has ${size}; pass --yes to start it without confirmation`);
+    }
+
+    const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+    try {
+      const answer = await prompt.question(`The job has ${size}. Continue? [y/N] `);
+      return /^y(es)?$/i.test(answer.trim());
+    } finally {
+      prompt.close();
+    }
+  };
+}
+
 /**
  * Print usage information
  */
@@ -48,26 +278,104 @@ Usage:
 Commands:
   download-bbox     Download tiles for a bounding box
   download-geojson  Download tiles for a GeoJSON file
+  refresh           Re-download expired tiles for a bounding box or GeoJSON file
   retry-failed      Retry failed downloads
+  run-job <file>    Download several areas and tile maps listed in a JSON job file as one job
+  resume <jobId>    Continue an interrupted download or refresh job where it stopped
+  jobs list         List past and running download jobs
+  jobs show <jobId> Show the manifest and statistics of a download job
+  estimate [<file>] Count the tiles of a bounding box, GeoJSON file or job file, how many are cached,
+                    and estimate the download size and duration from a few sample tiles per zoom level
+  export-mbtiles    Export cached tiles for a bounding box or GeoJSON file to an MBTiles file
+  migrate-cache     Copy or move the cache of a tile map into another layout or folder
+  verify-cache      Check the cached tiles of a tile map for empty, corrupt and suspicious tiles
+  coverage          Write a GeoJSON map of the cached and missing tiles of a bounding box or GeoJSON file
+  cache-stats       Report the cached tiles per tile map and zoom level: count, size, oldest and newest tile and extent
+  dedup-cache       Store identical cached tiles once, as hard links to a content store, and report the space saved
+  serve             Serve cached tiles over HTTP as /{tilemap}/{z}/{x}/{y}.{format}
+  proxy             Serve tiles over HTTP, downloading and caching tiles that are missing
   list-tilemaps     List available tile maps
 
 Options:
-  --tilemap         Tile map name (required for download commands)
-  --bbox            Bounding box as "minLon,minLat,maxLon,maxLat" (required for download-bbox)
+  --tilemap         Tile map name (required for download commands; cache-stats and dedup-cache: default all tile maps)
+  --bbox            Bounding box as "minLon,minLat,maxLon,maxLat" (required for download-bbox);
+                    minLon > maxLon crosses the antimeridian
   --geojson         Path to GeoJSON file (required for download-geojson)
+  --output          MBTiles file to write (required for export-mbtiles), or GeoJSON file to write
+                    (coverage only, default: stdout)
+  --name            Name written to the MBTiles metadata (default: tile map name)
+  --from-layout     Layout of the cache to migrate (migrate-cache only, default: configured layout)
+  --from-folder     Cache folder to migrate from (migrate-cache only, default: TileCacheFolder)
+  --to-layout       Target layout: legacy, xyz, tms or quadkey (migrate-cache only)
+  --to-folder       Target cache folder (migrate-cache only, default: the source folder)
+  --move            Move tiles instead of copying them (migrate-cache only)
+  --dry-run         Report what would be migrated without writing anything (migrate-cache only)
+  --resume          Skip tiles already present in the target (migrate-cache only)
+  --delete          Delete empty and corrupt tiles (verify-cache only)
+  --requeue         Delete empty and corrupt tiles and queue them for retry-failed (verify-cache only)
+  --include-suspicious  Also delete or requeue suspicious tiles: too small, too large or placeholders
+                    (verify-cache only)
+  --port            Port to listen on (serve and proxy only, default: 8080)
+  --host            Host to bind to (serve and proxy only, default: 127.0.0.1)
+  --buffer          Grow the GeoJSON area by a distance in meters, or per zoom level as "zoom:meters,..."
+                    (download-geojson, refresh, estimate, verify-cache, export-mbtiles and coverage only)
+  --min-zoom-property  GeoJSON feature property holding a feature's own minimum zoom level
+                    (default: minzoom, "none" to ignore; features without it use --min-zoom)
+  --max-zoom-property  GeoJSON feature property holding a feature's own maximum zoom level
+                    (default: maxzoom, "none" to ignore; features without it use --max-zoom)
+  --tilemap-property   GeoJSON feature property holding a feature's own tile map
+                    (default: tilemap, "none" to ignore; download-geojson, refresh and estimate only)
+  --max-age         TimeSpan overriding the tile map's TimeSpan, e.g. "7.00:00:00" (refresh only)
   --min-zoom        Minimum zoom level (default: 0)
   --max-zoom        Maximum zoom level (default: 18)
   --concurrency     Number of concurrent downloads (default: 5)
+  --max-tiles       Refuse to start a job with more tiles than this (download, refresh and run-job commands)
+  --max-bytes       Stop a job once it has downloaded this much, e.g. "500MB"; resume it with a larger
+                    budget, or without --max-bytes for no budget (download, refresh, run-job and resume commands)
+  --confirm-above   Ask before starting a job with more tiles than this (default: 100000)
+  --yes             Start jobs without asking for confirmation, e.g. in scripts
+  --samples         Number of tiles to request per tile map and zoom level, 0 to only use the cache
+                    (estimate only, default: 3)
+  --status          Tiles to include: cached, missing or all (coverage only, default: all)
+  --merge           Merge adjacent tiles into one polygon per zoom level and status (coverage only)
+  --json            Print the statistics as JSON (cache-stats only)
+  --zoom            Zoom level or range "min-max" to retry (retry-failed only)
+  --error-class     Error class to retry, e.g. timeout, server-error (retry-failed only)
 
 Features:
   - Progress bar showing download status
-  - Statistics tracking (calculated, downloaded, skipped, failed tiles)
-  - Automatic retry for failed downloads
+  - Statistics tracking (calculated, downloaded, refreshed, skipped, failed tiles)
+  - Tiles older than the tile map's TimeSpan are downloaded again
+  - Failed downloads are journaled under the tile cache folder and retried across runs
+  - Error pages, empty responses and known placeholder tiles are rejected instead of cached
+  - Every download and refresh run is recorded as a job that can be resumed after a crash
+  - Jobs can be capped with --max-tiles / --max-bytes; large jobs ask for confirmation (skip with --yes)
+  - Commands that write to the cache lock it, so two runs cannot write the same cache folder at once
+  - With "Dedup": true, identical tiles are stored once and shared through hard links
 
 Examples:
   node src/cli.js download-bbox --tilemap OSM_Map --bbox "-74.01,40.70,-73.96,40.75" --min-zoom 10 --max-zoom 15
   node src/cli.js download-geojson --tilemap OSM_Map --geojson ./area.geojson --min-zoom 10 --max-zoom 15
+  node src/cli.js download-geojson --tilemap OSM_Map --geojson ./road.geojson --min-zoom 10 --max-zoom 17 --buffer "10:2000,15:200"
+  node src/cli.js download-geojson --tilemap OSM_Map --geojson ./layers.geojson --min-zoom-property from_zoom --max-zoom-property to_zoom
+  node src/cli.js refresh --tilemap OSM_Map --geojson ./area.geojson --min-zoom 10 --max-zoom 15
   node src/cli.js retry-failed
+  node src/cli.js retry-failed --tilemap OSM_Map --zoom 12-15 --error-class timeout
+  node src/cli.js run-job ./examples/job.json
+  node src/cli.js download-bbox --tilemap OSM_Map --bbox "-74.01,40.70,-73.96,40.75" --max-zoom 18 --max-bytes 2GB --yes
+  node src/cli.js jobs list
+  node src/cli.js resume 20250513-142501-k3f9
+  node src/cli.js estimate --tilemap OSM_Map --bbox "-74.01,40.70,-73.96,40.75" --min-zoom 10 --max-zoom 18
+  node src/cli.js estimate ./examples/job.json --samples 5
+  node src/cli.js export-mbtiles --tilemap OSM_Map --bbox "-74.01,40.70,-73.96,40.75" --min-zoom 10 --max-zoom 15 --output ./nyc.mbtiles
+  node src/cli.js migrate-cache --tilemap OSM_Map --to-layout xyz --to-folder ./xyz_cache --resume
+  node src/cli.js verify-cache --tilemap OSM_Map --min-zoom 12 --max-zoom 15 --requeue
+  node src/cli.js coverage --tilemap OSM_Map --geojson ./area.geojson --min-zoom 10 --max-zoom 15 --status missing --merge --output ./missing.geojson
+  node src/cli.js cache-stats --tilemap OSM_Map
+  node src/cli.js cache-stats --json > cache-stats.json
+  node src/cli.js dedup-cache
+  node src/cli.js serve --port 8080
+  node src/cli.js proxy --port 8080 --concurrency 4
   node src/cli.js list-tilemaps
   `);
 }
@@ -93,7 +401,7 @@ function progressCallback(stats, progressPercent) {
     `Skipped: ${stats.skippedTiles} | ` +
     `Failed: ${stats.failedTiles} | ` +
     `In Progress: ${stats.inProgress} | ` +
-    `Total: ${stats.totalTiles}`
+    `Total: ${stats.totalTiles !== null ? stats.totalTiles : `${stats.calculatedTiles}+`}`
   );
 }
 
@@ -104,14 +412,243 @@ function progressCallback(stats, progressPercent) {
 function printStats(stats) {
   console.log('\nDownload Statistics:');
   console.log(`- Total Tiles: ${stats.totalTiles}`);
-  console.log(`- Downloaded: ${stats.downloadedTiles}`);
+  console.log(`- Downloaded: ${stats.downloadedTiles} (${formatBytes(stats.downloadedBytes ?? 0)})`);
+  console.log(`- Refreshed (Expired): ${stats.refreshedTiles}`);
+  console.log(`- Revalidated (Unchanged): ${stats.revalidatedTiles}`);
   console.log(`- Skipped (Already Exist): ${stats.skippedTiles}`);
+  console.log(`- Rejected (Invalid Content): ${stats.rejectedTiles ?? 0}`);
   console.log(`- Failed: ${stats.failedTiles}`);
 
   // Calculate success rate
-  const attempted = stats.downloadedTiles + stats.failedTiles;
-  const successRate = attempted > 0 ? Math.round((stats.downloadedTiles / attempted) * 100) : 100;
+  const succeeded = stats.downloadedTiles + stats.refreshedTiles;
+  const attempted = succeeded + stats.failedTiles;
+  const successRate = attempted > 0 ? Math.round((succeeded / attempted) * 100) : 100;
   console.log(`- Success Rate: ${successRate}%`);
+  printErrorCounts(stats);
+}
+
+/**
+ * Print the number of errors per error class and rejected tiles per reason, if there were any
+ * @param {Object} stats The statistics object
+ */
+function printErrorCounts(stats) {
+  const errorClasses = Object.keys(stats.errorCounts);
+  const rejectionReasons = Object.keys(stats.rejectionCounts || {});
+  if (stats.retriedRequests > 0) {
+    console.log(`- Retried Requests: ${stats.retriedRequests}`);
+  }
+  if (errorClasses.length > 0) {
+    console.log('- Failed Tiles by Error Class:');
+    for (const errorClass of errorClasses) {
+      console.log(`  - ${errorClass}: ${stats.errorCounts[errorClass]}`);
+    }
+  }
+  if (rejectionReasons.length > 0) {
+    console.log('- Rejected by Reason:');
+    for (const reason of rejectionReasons) {
+      console.log(`  - ${reason}: ${stats.rejectionCounts[reason]}`);
+    }
+  }
+}
+
+/**
+ * Print refresh statistics
+ * @param {Object} stats The statistics object
+ */
+function printRefreshStats(stats) {
+  console.log('\nRefresh Statistics:');
+  console.log(`- Total Tiles: ${stats.totalTiles}`);
+  console.log(`- Fresh: ${stats.skippedTiles}`);
+  console.log(`- Refreshed: ${stats.refreshedTiles}`);
+  console.log(`- Revalidated: ${stats.revalidatedTiles}`);
+  console.log(`- Rejected (Invalid Content): ${stats.rejectedTiles ?? 0}`);
+  console.log(`- Failed: ${stats.failedTiles}`);
+  console.log(`- Not Cached: ${stats.missingTiles}`);
+  printErrorCounts(stats);
+}
+
+/**
+ * Format a number of bytes for display
+ * @param {number|null} bytes The number of bytes
+ * @returns {string} The size, e.g. "12.3 MB", or "unknown"
+ */
+function formatBytes(bytes) {
+  if (bytes === null) {
+    return 'unknown';
+  }
+
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Format a number of seconds for display
+ * @param {number|null} seconds The number of seconds
+ * @returns {string} The duration, e.g. "2h 05m", or "unknown"
+ */
+function formatDuration(seconds) {
+  if (seconds === null) {
+    return 'unknown';
+  }
+
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor(seconds % 3600 / 60);
+  if (hours > 0) {
+    return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  }
+  return minutes > 0 ? `${minutes}m ${String(seconds % 60).padStart(2, '0')}s` : `${seconds}s`;
+}
+
+/**
+ * Print a download estimate
+ * @param {Object} estimate The estimate from TileEstimator
+ */
+function printEstimate(estimate) {
+  const rows = [['Tile Map', 'Zoom', 'Tiles', 'Cached', 'Expired', 'To Download', 'Avg Tile', 'Est. Size']];
+  for (const level of estimate.levels) {
+    rows.push([
+      level.tileMapName,
+      level.zoom,
+      level.tiles,
+      level.cachedTiles,
+      level.expiredTiles,
+      level.downloadTiles,
+      formatBytes(level.averageTileBytes),
+      formatBytes(level.estimatedBytes)
+    ].map(String));
+  }
+
+  // Left-align the tile map names, right-align the numbers
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  console.log('');
+  for (const row of rows) {
+    console.log(row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  '));
+  }
+
+  console.log('\nEstimate:');
+  console.log(`- Total Tiles: ${estimate.totalTiles}`);
+  console.log(`- Cached: ${estimate.cachedTiles} (${estimate.expiredTiles} expired)`);
+  console.log(`- To Download: ${estimate.downloadTiles}`);
+  console.log(`- Estimated Size: ${formatBytes(estimate.estimatedBytes)}`);
+  console.log(`- Estimated Duration: ${formatDuration(estimate.estimatedSeconds)}`);
+}
+
+/**
+ * Format a time for a table
+ * @param {Date|null} time The time
+ * @returns {string} The time as "YYYY-MM-DD hh:mm" (UTC), or "-"
+ */
+function formatTime(time) {
+  return time ? time.toISOString().slice(0, 16).replace('T', ' ') : '-';
+}
+
+/**
+ * Print the statistics of the cached tiles as a table
+ * @param {Array<Object>} summaries The tile map summaries from CacheInspector
+ */
+function printCacheStats(summaries) {
+  const rows = [['Tile Map', 'Zoom', 'Tiles', 'Size', 'Oldest (UTC)', 'Newest (UTC)', 'Extent (W, S, E, N)']];
+  const toRow = (tileMapName, zoom, summary) => [
+    tileMapName,
+    zoom,
+    summary.tiles,
+    formatBytes(summary.bytes),
+    formatTime(summary.oldest),
+    formatTime(summary.newest),
+    summary.bbox ? summary.bbox.map(value => value.toFixed(4)).join(', ') : '-'
+  ].map(String);
+
+  for (const summary of summaries) {
+    for (const level of summary.levels) {
+      rows.push(toRow(summary.tileMapName, level.zoom, level));
+    }
+    rows.push(toRow(summary.tileMapName, 'all', summary));
+  }
+
+  // Left-align the tile map names, right-align the rest
+  const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+  for (const row of rows) {
+    console.log(row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  '));
+  }
+}
+
+/**
+ * Print the statistics of a cache deduplication
+ * @param {Object} stats The statistics from CacheDeduplicator
+ */
+function printDedupStats(stats) {
+  const savedBytes = stats.referencedBytes - stats.blobBytes;
+  const savedPercent = stats.referencedBytes > 0 ? Math.round(savedBytes / stats.referencedBytes * 100) : 0;
+
+  console.log('\nDeduplication Statistics:');
+  console.log(`- Checked Tiles: ${stats.checkedTiles}`);
+  console.log(`- Linked to an Identical Tile: ${stats.linkedTiles} (${formatBytes(stats.savedBytes)} freed)`);
+  console.log(`- Added to the Content Store: ${stats.storedTiles}`);
+  console.log(`- Already Deduplicated: ${stats.alreadyLinkedTiles}`);
+  console.log(`- Failed: ${stats.failedTiles}`);
+  console.log(`- Unused Contents Removed: ${stats.removedBlobs}`);
+
+  console.log('\nContent Store:');
+  console.log(`- Distinct Tiles: ${stats.blobs} (${formatBytes(stats.blobBytes)})`);
+  console.log(`- Tiles Linked to Them: ${stats.referencingTiles} (${formatBytes(stats.referencedBytes)})`);
+  console.log(`- Space Saved: ${formatBytes(savedBytes)} (${savedPercent}%)`);
+}
+
+/**
+ * Print a one-line summary of a download job
+ * @param {DownloadJob} job The job
+ */
+function printJobSummary(job) {
+  const { manifest } = job;
+  console.log(
+    `- ${manifest.id}  ${job.status.padEnd(11)}  ${manifest.tileMapName}  ` +
+    `${manifest.area.type} zoom ${manifest.minZoom}-${manifest.maxZoom}  ` +
+    `${manifest.cursor}/${manifest.totalTiles || '?'}  ${manifest.updatedAt}`
+  );
+}
+
+/**
+ * Print the details of a download job
+ * @param {DownloadJob} job The job
+ */
+function printJobDetails(job) {
+  const { manifest } = job;
+  console.log(`Job ${manifest.id}:`);
+  console.log(`- Status: ${job.status}${manifest.stopReason ? ` (${manifest.stopReason})` : ''}`);
+  console.log(`- Tile Map: ${manifest.tileMapName}`);
+  console.log(`- Type: ${manifest.options.refreshOnly ? 'refresh' : 'download'}`);
+  if (manifest.area.type === 'spec') {
+    console.log(`- Job File: ${manifest.area.spec.name}`);
+    for (const area of manifest.area.spec.areas) {
+      const name = area.name || (area.bbox ? `bbox ${area.bbox}` : 'GeoJSON');
+      console.log(`  - ${name} (zoom ${area.minZoom}-${area.maxZoom})`);
+    }
+  } else if (manifest.area.type === 'bbox') {
+    console.log(`- Bounding Box: ${manifest.area.bbox}`);
+  } else {
+    console.log('- Area: GeoJSON');
+    if (manifest.area.buffer) {
+      console.log(`- Buffer: ${JSON.stringify(manifest.area.buffer)} meters`);
+    }
+    if (manifest.area.properties && Object.keys(manifest.area.properties).length > 0) {
+      console.log(`- Feature Properties: ${JSON.stringify(manifest.area.properties)}`);
+    }
+  }
+  console.log(`- Zoom: ${manifest.minZoom}-${manifest.maxZoom}`);
+  console.log(`- Progress: ${manifest.cursor}/${manifest.totalTiles || '?'} tiles (${job.completedAhead.size} more done out of order)`);
+  console.log(`- Process: ${manifest.pid}`);
+  console.log(`- Created: ${manifest.createdAt}`);
+  console.log(`- Updated: ${manifest.updatedAt}`);
+  if (manifest.stats) {
+    const print = manifest.options.refreshOnly ? printRefreshStats : printStats;
+    print(manifest.stats);
+  }
 }
 
 /**
@@ -127,12 +664,32 @@ async function run() {
     }
 
     const config = loadConfig();
+
+    // Keep other runs out of the cache while this one writes to it
+    if (CACHE_WRITING_COMMANDS.has(args.command)) {
+      await CacheLock.acquire(config.TileCacheFolder, args.command);
+      await removeStaleTempFiles(config.TileCacheFolder);
+
+      // Exit on Ctrl+C through process.exit(), which releases the lock
+      process.once('SIGINT', () => process.exit(130));
+      process.once('SIGTERM', () => process.exit(143));
+    }
+
     const concurrency = args.options.concurrency ? parseInt(args.options.concurrency) : 5;
     const downloader = new TileDownloader(config, concurrency);
 
     // Set progress callback
     downloader.setProgressCallback(progressCallback);
 
+    // Budgets and confirmation of download jobs
+    downloader.setLimits(parseLimits(args.options));
+    if (!args.options.yes) {
+      const threshold = args.options['confirm-above'] !== undefined
+        ? parseCount('confirm-above', args.options['confirm-above'])
+        : DEFAULT_CONFIRM_TILES;
+      downloader.setConfirmCallback(createConfirmCallback(threshold), threshold);
+    }
+
     switch (args.command) {
       case 'download-bbox': {
         if (!args.options.tilemap) {
@@ -146,9 +703,8 @@ async function run() {
         }
 
         const tileMapName = args.options.tilemap;
-        const bbox = args.options.bbox.split(',').map(Number);
-        const minZoom = args.options['min-zoom'] ? parseInt(args.options['min-zoom']) : 0;
-        const maxZoom = args.options['max-zoom'] ? parseInt(args.options['max-zoom']) : 18;
+        const bbox = parseBoundingBox(args.options.bbox);
+        const [minZoom, maxZoom] = parseZoomRange(args.options);
 
         console.log(`Downloading tiles for bounding box: ${bbox} (zoom ${minZoom}-${maxZoom})`);
         console.log('Press Ctrl+C to cancel\n');
@@ -174,27 +730,81 @@ async function run() {
 
         const tileMapName = args.options.tilemap;
         const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
-        const geojson = JSON.parse(await fs.readFile(geojsonPath, 'utf8'));
-        const minZoom = args.options['min-zoom'] ? parseInt(args.options['min-zoom']) : 0;
-        const maxZoom = args.options['max-zoom'] ? parseInt(args.options['max-zoom']) : 18;
+        const geojson = await readGeoJSON(geojsonPath);
+        const [minZoom, maxZoom] = parseZoomRange(args.options);
+        const buffer = args.options.buffer ? parseBuffer(args.options.buffer) : null;
+        const properties = parseFeatureProperties(args.options);
 
         console.log(`Downloading tiles for GeoJSON: ${geojsonPath} (zoom ${minZoom}-${maxZoom})`);
         console.log('Press Ctrl+C to cancel\n');
 
         // Download tiles and get statistics
-        const stats = await downloader.downloadTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom);
+        const stats = await downloader.downloadTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom, buffer, properties);
 
         // Print statistics
         printStats(stats);
         break;
       }
 
+      case 'refresh': {
+        if (!args.options.tilemap) {
+          console.error('Error: --tilemap option is required');
+          return;
+        }
+
+        if (!args.options.bbox && !args.options.geojson) {
+          console.error('Error: --bbox or --geojson option is required');
+          return;
+        }
+
+        const tileMapName = args.options.tilemap;
+        const [minZoom, maxZoom] = parseZoomRange(args.options);
+        const options = {};
+        if (args.options['max-age']) {
+          options.maxAge = parseTimeSpan(args.options['max-age']);
+        }
+        if (args.options.buffer) {
+          if (!args.options.geojson) {
+            console.error('Error: --buffer can only be used with --geojson');
+            return;
+          }
+          options.buffer = parseBuffer(args.options.buffer);
+        }
+        if (args.options.geojson) {
+          options.properties = parseFeatureProperties(args.options);
+        }
+
+        console.log('Press Ctrl+C to cancel\n');
+
+        let stats;
+        if (args.options.bbox) {
+          const bbox = parseBoundingBox(args.options.bbox);
+          stats = await downloader.refreshTilesForBoundingBox(tileMapName, bbox, minZoom, maxZoom, options);
+        } else {
+          const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
+          const geojson = await readGeoJSON(geojsonPath);
+          stats = await downloader.refreshTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom, options);
+        }
+
+        // Print statistics
+        printRefreshStats(stats);
+        break;
+      }
+
       case 'retry-failed': {
+        const filter = {
+          tileMap: args.options.tilemap,
+          errorClass: args.options['error-class']
+        };
+        if (args.options.zoom) {
+          filter.zoom = parseZoomFilter(args.options.zoom);
+        }
+
         console.log('Retrying failed downloads...');
         console.log('Press Ctrl+C to cancel\n');
 
         // Retry failed downloads and get statistics
-        const stats = await downloader.retryFailedDownloads();
+        const stats = await downloader.retryFailedDownloads(filter);
 
         // Print statistics
         if (stats.totalTiles > 0) {
@@ -202,17 +812,337 @@ async function run() {
           console.log(`- Total Retried: ${stats.totalTiles}`);
           console.log(`- Successfully Downloaded: ${stats.downloadedTiles}`);
           console.log(`- Skipped (Already Exist): ${stats.skippedTiles}`);
+          console.log(`- Refreshed (Expired): ${stats.refreshedTiles}`);
+          console.log(`- Revalidated (Unchanged): ${stats.revalidatedTiles}`);
+          console.log(`- Rejected (Invalid Content): ${stats.rejectedTiles}`);
           console.log(`- Failed Again: ${stats.failedTiles}`);
 
-          // Calculate retry success rate
-          const successRate = Math.round((stats.downloadedTiles / stats.totalTiles) * 100);
+          // Calculate retry success rate; tiles that are cached now count as recovered
+          const recovered = stats.downloadedTiles + stats.refreshedTiles + stats.revalidatedTiles + stats.skippedTiles;
+          const successRate = Math.round((recovered / stats.totalTiles) * 100);
           console.log(`- Retry Success Rate: ${successRate}%`);
+          printErrorCounts(stats);
         } else {
           console.log('No failed downloads to retry');
         }
         break;
       }
 
+      case 'run-job': {
+        if (!args.positionals[0]) {
+          console.error('Error: a job file is required');
+          return;
+        }
+
+        const spec = await loadJobSpec(config, path.resolve(process.cwd(), args.positionals[0]));
+
+        console.log('Press Ctrl+C to cancel\n');
+
+        // Download tiles and get statistics
+        const stats = await downloader.runJobSpec(spec);
+
+        // Print statistics
+        printStats(stats);
+        break;
+      }
+
+      case 'resume': {
+        const jobId = args.positionals[0];
+        if (!jobId) {
+          console.error('Error: a job ID is required, see "jobs list"');
+          return;
+        }
+
+        console.log('Press Ctrl+C to cancel\n');
+
+        const job = await DownloadJob.load(config, jobId);
+        const stats = await downloader.resumeJob(jobId);
+
+        // Print statistics
+        if (job.manifest.options.refreshOnly) {
+          printRefreshStats(stats);
+        } else {
+          printStats(stats);
+        }
+        break;
+      }
+
+      case 'jobs': {
+        const subcommand = args.positionals[0] || 'list';
+
+        if (subcommand === 'list') {
+          const jobs = await DownloadJob.list(config);
+          if (jobs.length === 0) {
+            console.log('No download jobs');
+            break;
+          }
+
+          console.log('Download jobs:');
+          for (const job of jobs) {
+            printJobSummary(job);
+          }
+        } else if (subcommand === 'show') {
+          if (!args.positionals[1]) {
+            console.error('Error: a job ID is required');
+            return;
+          }
+
+          printJobDetails(await DownloadJob.load(config, args.positionals[1]));
+        } else {
+          console.error(`Unknown jobs command: ${subcommand}`);
+        }
+        break;
+      }
+
+      case 'estimate': {
+        const estimator = new TileEstimator(config, downloader);
+        const options = {};
+        if (args.options.samples !== undefined) {
+          options.samples = parseInt(args.options.samples);
+          if (!Number.isInteger(options.samples) || options.samples < 0) {
+            console.error(`Error: invalid --samples "${args.options.samples}", expected a whole number`);
+            return;
+          }
+        }
+
+        let estimate;
+        if (args.positionals[0]) {
+          const spec = await loadJobSpec(config, path.resolve(process.cwd(), args.positionals[0]));
+          console.log(`Estimating job "${spec.name}"`);
+          estimate = await estimator.estimateJobSpec(spec, options);
+        } else {
+          if (!args.options.tilemap) {
+            console.error('Error: --tilemap option (or a job file) is required');
+            return;
+          }
+
+          if (!args.options.bbox && !args.options.geojson) {
+            console.error('Error: --bbox or --geojson option is required');
+            return;
+          }
+
+          const tileMapName = args.options.tilemap;
+          const [minZoom, maxZoom] = parseZoomRange(args.options);
+          console.log(`Estimating ${tileMapName} (zoom ${minZoom}-${maxZoom})`);
+
+          if (args.options.bbox) {
+            const bbox = parseBoundingBox(args.options.bbox);
+            estimate = await estimator.estimateBoundingBox(tileMapName, bbox, minZoom, maxZoom, options);
+          } else {
+            const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
+            const geojson = await readGeoJSON(geojsonPath);
+            if (args.options.buffer) {
+              options.buffer = parseBuffer(args.options.buffer);
+            }
+            options.properties = parseFeatureProperties(args.options);
+            estimate = await estimator.estimateGeoJSON(tileMapName, geojson, minZoom, maxZoom, options);
+          }
+        }
+
+        printEstimate(estimate);
+        break;
+      }
+
+      case 'export-mbtiles': {
+        if (!args.options.tilemap) {
+          console.error('Error: --tilemap option is required');
+          return;
+        }
+
+        if (!args.options.bbox && !args.options.geojson) {
+          console.error('Error: --bbox or --geojson option is required');
+          return;
+        }
+
+        if (!args.options.output) {
+          console.error('Error: --output option is required');
+          return;
+        }
+
+        const tileMapName = args.options.tilemap;
+        const outputPath = path.resolve(process.cwd(), args.options.output);
+        const [minZoom, maxZoom] = parseZoomRange(args.options);
+        const options = {
+          name: args.options.name,
+          buffer: args.options.buffer ? parseBuffer(args.options.buffer) : null,
+          properties: parseFeatureProperties(args.options)
+        };
+        const exporter = new MBTilesExporter(config);
+
+        console.log(`Exporting cached tiles to MBTiles: ${outputPath} (zoom ${minZoom}-${maxZoom})`);
+
+        if (args.options.bbox) {
+          const bbox = parseBoundingBox(args.options.bbox);
+          await exporter.exportBoundingBox(tileMapName, bbox, minZoom, maxZoom, outputPath, options);
+        } else {
+          const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
+          const geojson = await readGeoJSON(geojsonPath);
+          await exporter.exportGeoJSON(tileMapName, geojson, minZoom, maxZoom, outputPath, options);
+        }
+        break;
+      }
+
+      case 'migrate-cache': {
+        if (!args.options.tilemap) {
+          console.error('Error: --tilemap option is required');
+          return;
+        }
+
+        if (!args.options['to-layout'] && !args.options['to-folder']) {
+          console.error('Error: --to-layout or --to-folder option is required');
+          return;
+        }
+
+        const options = {
+          fromLayout: args.options['from-layout'],
+          fromFolder: args.options['from-folder'] && path.resolve(process.cwd(), args.options['from-folder']),
+          toLayout: args.options['to-layout'],
+          toFolder: args.options['to-folder'] && path.resolve(process.cwd(), args.options['to-folder']),
+          move: Boolean(args.options.move),
+          dryRun: Boolean(args.options['dry-run']),
+          resume: Boolean(args.options.resume)
+        };
+
+        // Only the configured cache folder is locked so far; the migration also writes
+        // its target folder, and a move removes the tiles of its source folder
+        if (!options.dryRun) {
+          const lockedFolders = [path.resolve(config.TileCacheFolder)];
+          for (const folder of [options.toFolder, options.move ? options.fromFolder : null]) {
+            if (folder && !lockedFolders.includes(folder)) {
+              await CacheLock.acquire(folder, args.command);
+              await removeStaleTempFiles(folder);
+              lockedFolders.push(folder);
+            }
+          }
+        }
+
+        const migrator = new CacheMigrator(config);
+        await migrator.migrate(args.options.tilemap, options);
+
+        console.log('Update the "Layout" / "TileCacheFolder" settings in config.json to use the migrated cache.');
+        break;
+      }
+
+      case 'verify-cache': {
+        if (!args.options.tilemap) {
+          console.error('Error: --tilemap option is required');
+          return;
+        }
+
+        const options = {
+          delete: Boolean(args.options.delete),
+          requeue: Boolean(args.options.requeue),
+          includeSuspicious: Boolean(args.options['include-suspicious'])
+        };
+
+        // Without an area, the whole cache is checked, limited to the zoom range only if one is given
+        if (args.options.bbox || args.options.geojson || args.options['min-zoom'] !== undefined || args.options['max-zoom'] !== undefined) {
+          [options.minZoom, options.maxZoom] = parseZoomRange(args.options);
+        }
+
+        if (args.options.bbox) {
+          options.area = { type: 'bbox', bbox: parseBoundingBox(args.options.bbox) };
+        } else if (args.options.geojson) {
+          const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
+          options.area = {
+            type: 'geojson',
+            geojson: await readGeoJSON(geojsonPath),
+            buffer: args.options.buffer ? parseBuffer(args.options.buffer) : null,
+            properties: parseFeatureProperties(args.options)
+          };
+        }
+
+        const verifier = new CacheVerifier(config);
+        await verifier.verify(args.options.tilemap, options);
+        break;
+      }
+
+      case 'coverage': {
+        if (!args.options.tilemap) {
+          console.error('Error: --tilemap option is required');
+          return;
+        }
+
+        if (!args.options.bbox && !args.options.geojson) {
+          console.error('Error: --bbox or --geojson option is required');
+          return;
+        }
+
+        const tileMapName = args.options.tilemap;
+        const [minZoom, maxZoom] = parseZoomRange(args.options);
+        let area;
+        if (args.options.bbox) {
+          area = { type: 'bbox', bbox: parseBoundingBox(args.options.bbox) };
+        } else {
+          const geojsonPath = path.resolve(process.cwd(), args.options.geojson);
+          area = {
+            type: 'geojson',
+            geojson: await readGeoJSON(geojsonPath),
+            buffer: args.options.buffer ? parseBuffer(args.options.buffer) : null,
+            properties: parseFeatureProperties(args.options)
+          };
+        }
+
+        const cacheCoverage = new CacheCoverage(config);
+        const coverage = await cacheCoverage.getCoverage(tileMapName, area, minZoom, maxZoom, {
+          status: args.options.status,
+          merge: Boolean(args.options.merge)
+        });
+
+        // Without --output the GeoJSON goes to stdout, so the summary goes to stderr
+        const log = args.options.output ? console.log : console.error;
+        if (args.options.output) {
+          const outputPath = path.resolve(process.cwd(), args.options.output);
+          await fs.writeJson(outputPath, coverage.geojson);
+          log(`Coverage written to ${outputPath} (${coverage.geojson.features.length} features)`);
+        } else {
+          console.log(JSON.stringify(coverage.geojson));
+        }
+        log(`Coverage of ${tileMapName} (zoom ${minZoom}-${maxZoom}): ${coverage.cachedTiles} of ${coverage.totalTiles} tiles cached, ${coverage.missingTiles} missing`);
+        break;
+      }
+
+      case 'cache-stats': {
+        const tileMapNames = args.options.tilemap ? [args.options.tilemap] : undefined;
+        const inspector = new CacheInspector(config);
+        const summaries = await inspector.inspect(tileMapNames);
+
+        if (args.options.json) {
+          console.log(JSON.stringify(summaries, null, 2));
+        } else {
+          printCacheStats(summaries);
+        }
+        break;
+      }
+
+      case 'dedup-cache': {
+        const tileMapNames = args.options.tilemap ? [args.options.tilemap] : undefined;
+        const deduplicator = new CacheDeduplicator(config);
+        printDedupStats(await deduplicator.dedup(tileMapNames));
+
+        if (!config.Dedup) {
+          console.log('\nSet "Dedup": true in config.json to also deduplicate newly downloaded tiles.');
+        }
+        break;
+      }
+
+      case 'serve':
+      case 'proxy': {
+        const port = args.options.port ? parseInt(args.options.port) : 8080;
+        const host = args.options.host || '127.0.0.1';
+        const isProxy = args.command === 'proxy';
+        const server = isProxy ? new TileProxyServer(config, downloader) : new TileServer(config, downloader);
+
+        // Per-tile progress output would interleave with the request log
+        downloader.setProgressCallback(null);
+
+        await server.listen(port, host);
+        console.log(`${isProxy ? 'Proxying' : 'Serving'} tiles from ${config.TileCacheFolder} at http://${host}:${port}/{tilemap}/{z}/{x}/{y}.{format}`);
+        console.log(`Tile map list: http://${host}:${port}/tilemaps`);
+        console.log('Press Ctrl+C to stop');
+        break;
+      }
+
       case 'list-tilemaps': {
         console.log('Available tile maps:');
         for (const tileMap of config.TileMaps) {
@@ -10,6 +10,25 @@ import { fileURLToPath } from 'url';
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
 
+// Default in-run retry settings, overridable globally and per tile map with "Retry"
+const DEFAULT_RETRY_SETTINGS = {
+  MaxRetries: 3,
+  BaseDelay: 1000,
+  MaxDelay: 30000
+};
+
+// Default tile content validation, overridable globally and per tile map with "Validation"
+const DEFAULT_VALIDATION_SETTINGS = {
+  Enabled: true,
+  StrictFormat: false,
+  MinBytes: null,
+  MaxBytes: null,
+  PlaceholderHashes: []
+};
+
+// User-Agent sent to tile servers unless "UserAgent" is configured
+const DEFAULT_USER_AGENT = 'geo_tile_downloader/1.0.0 (+https://github.com/niranshahi/geo_tile_downloader)';
+
 /**
  * Load configuration from config.json
  * @returns {Object} The configuration object
@@ -48,4 +67,113 @@ function getTileMapByName(config, name) {
   return tileMap;
 }
 
-export { loadConfig, getTileMapByName };
+/**
+ * Parse a .NET-style TimeSpan string ("[d.]hh:mm[:ss[.fffffff]]" or "d")
+ *
+ * Tile ages cannot be negative, so negative TimeSpans are rejected.
+ * @param {string} value The TimeSpan string, e.g. "30.00:00:00"
+ * @returns {number} The duration in milliseconds
+ * @throws {Error} If the TimeSpan is not valid or negative
+ */
+function parseTimeSpan(value) {
+  const text = String(value).trim();
+
+  // A bare integer is a number of days
+  if (/^\d+$/.test(text)) {
+    return parseInt(text, 10) * 24 * 60 * 60 * 1000;
+  }
+
+  const match = text.match(/^(?:(\d+)\.)?(\d{1,2}):(\d{1,2})(?::(\d{1,2})(?:\.(\d{1,7}))?)?$/);
+  if (!match) {
+    throw new Error(`Invalid TimeSpan "${value}"`);
+  }
+
+  const [, days = '0', hours, minutes, seconds = '0', fraction = ''] = match;
+  if (Number(hours) > 23 || Number(minutes) > 59 || Number(seconds) > 59) {
+    throw new Error(`Invalid TimeSpan "${value}"`);
+  }
+
+  return Number(days) * 24 * 60 * 60 * 1000 +
+    Number(hours) * 60 * 60 * 1000 +
+    Number(minutes) * 60 * 1000 +
+    Number(seconds) * 1000 +
+    Math.round(Number(`0.${fraction || '0'}`) * 1000);
+}
+
+/**
+ * Get the maximum age of the cached tiles of a tile map
+ * @param {Object} tileMap The tile map configuration
+ * @returns {number|null} The maximum age in milliseconds, or null if tiles never expire
+ */
+function getTileMapMaxAge(tileMap) {
+  if (!tileMap.TimeSpan) {
+    return null;
+  }
+
+  return parseTimeSpan(tileMap.TimeSpan);
+}
+
+/**
+ * Get the in-run retry settings of a tile map
+ * @param {Object} config The configuration object
+ * @param {Object} tileMap The tile map configuration
+ * @returns {Object} The retry settings {MaxRetries, BaseDelay, MaxDelay}; delays in milliseconds
+ */
+function getRetrySettings(config, tileMap) {
+  return {
+    ...DEFAULT_RETRY_SETTINGS,
+    ...config.Retry,
+    ...tileMap.Retry
+  };
+}
+
+/**
+ * Get the request politeness settings of a tile map
+ *
+ * MaxRequestsPerSecond, MaxRequestsPerMinute and UserAgent can be set globally and
+ * per tile map; MaxBytesPerSecond is a global bandwidth cap only.
+ * @param {Object} config The configuration object
+ * @param {Object} tileMap The tile map configuration
+ * @returns {Object} The settings {MaxRequestsPerSecond, MaxRequestsPerMinute, MaxBytesPerSecond, UserAgent}
+ */
+function getRateLimitSettings(config, tileMap) {
+  return {
+    MaxRequestsPerSecond: tileMap.MaxRequestsPerSecond ?? config.MaxRequestsPerSecond ?? null,
+    MaxRequestsPerMinute: tileMap.MaxRequestsPerMinute ?? config.MaxRequestsPerMinute ?? null,
+    MaxBytesPerSecond: config.MaxBytesPerSecond ?? null,
+    UserAgent: tileMap.UserAgent || config.UserAgent || DEFAULT_USER_AGENT
+  };
+}
+
+/**
+ * Get the tile content validation settings of a tile map
+ *
+ * The placeholder hashes of the global and the tile map settings are combined;
+ * the other settings of the tile map override the global ones.
+ * @param {Object} config The configuration object
+ * @param {Object} tileMap The tile map configuration
+ * @returns {Object} The settings {Enabled, StrictFormat, MinBytes, MaxBytes, PlaceholderHashes}
+ */
+function getValidationSettings(config, tileMap) {
+  const placeholderHashes = [
+    ...(config.Validation?.PlaceholderHashes || []),
+    ...(tileMap.Validation?.PlaceholderHashes || [])
+  ];
+
+  return {
+    ...DEFAULT_VALIDATION_SETTINGS,
+    ...config.Validation,
+    ...tileMap.Validation,
+    PlaceholderHashes: placeholderHashes.map(hash => String(hash).toLowerCase())
+  };
+}
+
+export {
+  loadConfig,
+  getTileMapByName,
+  parseTimeSpan,
+  getTileMapMaxAge,
+  getRetrySettings,
+  getRateLimitSettings,
+  getValidationSettings
+};
@@ -0,0 +1,149 @@
+/**
+ * Cache coverage maps for the Geo Tile Downloader
+ */
+
+import * as turf from '@turf/turf';
+import { getTileMapByName } from './config.js';
+import { iterateTilesForBoundingBox, iterateTilesForGeoJSON, tileToLatLonBounds } from './geo.js';
+import { getTileStorage } from './storage.js';
+
+// Tile statuses a coverage map can show
+const COVERAGE_STATUSES = ['cached', 'missing'];
+
+/**
+ * Get the polygon of a block of tiles
+ * @param {Object} block The block {minX, maxX, minY, maxY}
+ * @param {number} zoom The zoom level
+ * @param {Object} properties The feature properties
+ * @returns {Object} The GeoJSON Polygon feature
+ */
+function getBlockPolygon(block, zoom, properties) {
+  const [west, , , north] = tileToLatLonBounds(block.minX, block.minY, zoom);
+  const [, south, east] = tileToLatLonBounds(block.maxX, block.maxY, zoom);
+  return turf.polygon([[[west, south], [east, south], [east, north], [west, north], [west, south]]], properties);
+}
+
+/**
+ * Merge the tiles of a zoom level into rectangular blocks
+ *
+ * Runs of adjacent tiles in a row are joined, and a run continues the block
+ * of the row above if it spans the same columns.
+ * @param {Map<number, Array<number>>} rows The columns of the tiles per row
+ * @returns {Array<Object>} The blocks {minX, maxX, minY, maxY}
+ */
+function mergeTileBlocks(rows) {
+  const blocks = [];
+  let openBlocks = new Map();
+
+  for (const y of Array.from(rows.keys()).sort((a, b) => a - b)) {
+    const columns = rows.get(y).sort((a, b) => a - b);
+    const nextBlocks = new Map();
+
+    for (let start = 0; start < columns.length;) {
+      let end = start;
+      while (end + 1 < columns.length && columns[end + 1] === columns[end] + 1) {
+        end++;
+      }
+
+      const key = `${columns[start]}-${columns[end]}`;
+      let block = openBlocks.get(key);
+      if (block && block.maxY === y - 1) {
+        block.maxY = y;
+      } else {
+        block = { minX: columns[start], maxX: columns[end], minY: y, maxY: y };
+        blocks.push(block);
+      }
+      nextBlocks.set(key, block);
+      start = end + 1;
+    }
+
+    openBlocks = nextBlocks;
+  }
+
+  return blocks;
+}
+
+class CacheCoverage {
+  /**
+   * Create a new CacheCoverage
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Map which tiles of an area are cached and which are missing
+   *
+   * Without merging, every tile is a square Polygon feature with the
+   * properties {tileMap, status, zoom, x, y}. With `merge`, the tiles of each
+   * zoom level and status are joined into one Polygon or MultiPolygon feature
+   * with the properties {tileMap, status, zoom, tiles}, which stays small even
+   * for large areas.
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} area The area, {type: 'bbox', bbox} or {type: 'geojson', geojson, buffer, properties}
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {status, merge}; status is cached, missing or all (default)
+   * @returns {Promise<Object>} The coverage {geojson, totalTiles, cachedTiles, missingTiles}; geojson is a
+   *   FeatureCollection, ordered by zoom level
+   */
+  async getCoverage(tileMapName, area, minZoom, maxZoom, options = {}) {
+    getTileMapByName(this.config, tileMapName);
+    const status = options.status || 'all';
+    if (status !== 'all' && !COVERAGE_STATUSES.includes(status)) {
+      throw new Error(`Invalid coverage status "${status}", expected one of: all, ${COVERAGE_STATUSES.join(', ')}`);
+    }
+    const statuses = status === 'all' ? COVERAGE_STATUSES : [status];
+
+    const storage = getTileStorage(this.config, tileMapName);
+    const tiles = area.type === 'bbox'
+      ? iterateTilesForBoundingBox(area.bbox, minZoom, maxZoom)
+      : iterateTilesForGeoJSON(area.geojson, minZoom, maxZoom, { buffer: area.buffer, properties: area.properties });
+
+    const coverage = { geojson: turf.featureCollection([]), totalTiles: 0, cachedTiles: 0, missingTiles: 0 };
+    const levels = new Map();
+
+    for (const tile of tiles) {
+      const tileStatus = await storage.hasTile(tile.x, tile.y, tile.z) ? 'cached' : 'missing';
+      coverage.totalTiles++;
+      coverage[`${tileStatus}Tiles`]++;
+
+      if (!statuses.includes(tileStatus)) {
+        continue;
+      }
+
+      if (!options.merge) {
+        const properties = { tileMap: tileMapName, status: tileStatus, zoom: tile.z, x: tile.x, y: tile.y };
+        coverage.geojson.features.push(getBlockPolygon({ minX: tile.x, maxX: tile.x, minY: tile.y, maxY: tile.y }, tile.z, properties));
+        continue;
+      }
+
+      // Keep the columns per row to merge them once the area is done
+      const key = `${tile.z}/${tileStatus}`;
+      if (!levels.has(key)) {
+        levels.set(key, { zoom: tile.z, status: tileStatus, tiles: 0, rows: new Map() });
+      }
+      const level = levels.get(key);
+      level.tiles++;
+      if (!level.rows.has(tile.y)) {
+        level.rows.set(tile.y, []);
+      }
+      level.rows.get(tile.y).push(tile.x);
+    }
+
+    for (const level of Array.from(levels.values()).sort((a, b) => a.zoom - b.zoom)) {
+      const properties = { tileMap: tileMapName, status: level.status, zoom: level.zoom, tiles: level.tiles };
+      const polygons = mergeTileBlocks(level.rows).map(block => getBlockPolygon(block, level.zoom, properties));
+
+      // Blocks share their edges exactly, so their union dissolves them into outlines
+      const feature = polygons.length > 1 ? turf.union(turf.featureCollection(polygons)) : polygons[0];
+      feature.properties = properties;
+      coverage.geojson.features.push(feature);
+    }
+
+    return coverage;
+  }
+}
+
+export { CacheCoverage };
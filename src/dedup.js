@@ -0,0 +1,137 @@
+/**
+ * Cache deduplication for the Geo Tile Downloader
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getBlobPath, isLinkUnsupported, walkBlobs } from './blobs.js';
+import { readTileMetadata, writeTileMetadata } from './metadata.js';
+import { getTileStorage } from './storage.js';
+import { linkFileAtomic } from './tempfiles.js';
+import { hashTile } from './validation.js';
+
+class CacheDeduplicator {
+  /**
+   * Create a new CacheDeduplicator
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Convert the cached tiles of tile maps into links to the content store
+   *
+   * Each tile is hashed; the first tile of a content becomes its copy in the
+   * content store (see blobs.js), and every later identical tile, of any tile
+   * map, is replaced by a link to it. Tiles keep their age through the fetch
+   * time in their metadata, which is added from the file's modification time
+   * where it is missing. Contents no tile links to any more (e.g. after a
+   * refresh changed the tile) are removed from the store.
+   * @param {Array<string>} tileMapNames The names of the tile maps (default: all configured tile maps)
+   * @returns {Promise<Object>} Statistics {checkedTiles, linkedTiles, storedTiles, alreadyLinkedTiles,
+   *   failedTiles, savedBytes, removedBlobs, blobs, blobBytes, referencingTiles, referencedBytes}; savedBytes
+   *   is the space freed by this run, referencedBytes minus blobBytes the space saved by the whole store
+   */
+  async dedup(tileMapNames = this.config.TileMaps.map(tileMap => tileMap.Name)) {
+    const stats = {
+      checkedTiles: 0,
+      linkedTiles: 0,
+      storedTiles: 0,
+      alreadyLinkedTiles: 0,
+      failedTiles: 0,
+      savedBytes: 0,
+      removedBlobs: 0,
+      blobs: 0,
+      blobBytes: 0,
+      referencingTiles: 0,
+      referencedBytes: 0
+    };
+
+    for (const tileMapName of tileMapNames) {
+      const storage = getTileStorage(this.config, tileMapName);
+      console.log(`Deduplicating ${tileMapName} tiles in ${storage.rootFolder}`);
+
+      for await (const tile of storage.walkTiles()) {
+        stats.checkedTiles++;
+        try {
+          await this.dedupTile(storage, tile.filePath, stats);
+        } catch (error) {
+          if (isLinkUnsupported(error) && error.code !== 'EMLINK') {
+            throw new Error(`The tile cache folder does not support hard links, which deduplication needs (${error.message})`);
+          }
+          console.error(`Failed to deduplicate tile ${tile.z}/${tile.x}/${tile.y}: ${error.message}`);
+          stats.failedTiles++;
+        }
+      }
+    }
+
+    await this.measureStore(stats);
+    return stats;
+  }
+
+  /**
+   * Turn one tile into a link to the content store
+   * @param {TileStorage} storage The storage of the tile map
+   * @param {string} filePath The tile file path
+   * @param {Object} stats The statistics to update
+   * @returns {Promise<void>}
+   */
+  async dedupTile(storage, filePath, stats) {
+    const tileStat = await fs.stat(filePath);
+    const blobPath = getBlobPath(storage.cacheFolder, hashTile(await fs.readFile(filePath)));
+    const blobStat = await fs.stat(blobPath).catch(() => null);
+
+    if (blobStat && blobStat.ino === tileStat.ino && blobStat.dev === tileStat.dev) {
+      stats.alreadyLinkedTiles++;
+      return;
+    }
+
+    // A linked tile shares its modification time, so keep its own age in the metadata
+    const metadata = await readTileMetadata(filePath);
+    if (!metadata?.fetchedAt) {
+      await writeTileMetadata(filePath, {
+        etag: null,
+        lastModified: null,
+        contentType: null,
+        ...metadata,
+        size: tileStat.size,
+        fetchedAt: tileStat.mtime.toISOString()
+      }, storage.tempFolder);
+    }
+
+    if (blobStat) {
+      await linkFileAtomic(blobPath, filePath, storage.tempFolder);
+      stats.linkedTiles++;
+      stats.savedBytes += tileStat.size;
+    } else {
+      // The tile itself becomes the stored copy, without copying it
+      await fs.ensureDir(path.dirname(blobPath));
+      await fs.link(filePath, blobPath);
+      stats.storedTiles++;
+    }
+  }
+
+  /**
+   * Measure the content store, removing contents that no tile links to
+   * @param {Object} stats The statistics to update
+   * @returns {Promise<void>}
+   */
+  async measureStore(stats) {
+    for await (const blob of walkBlobs(this.config.TileCacheFolder)) {
+      const blobStat = await fs.stat(blob.filePath);
+      if (blobStat.nlink <= 1) {
+        await fs.remove(blob.filePath);
+        stats.removedBlobs++;
+        continue;
+      }
+
+      stats.blobs++;
+      stats.blobBytes += blobStat.size;
+      stats.referencingTiles += blobStat.nlink - 1;
+      stats.referencedBytes += blobStat.size * (blobStat.nlink - 1);
+    }
+  }
+}
+
+export { CacheDeduplicator };
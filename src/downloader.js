@@ -4,10 +4,39 @@
 
 import axios from 'axios';
 import fs from 'fs-extra';
-import path from 'path';
 import PQueue from 'p-queue';
-import { getTileMapByName } from './config.js';
-import { calculateTilesForBoundingBox, calculateTilesForGeoJSON } from './geo.js';
+import {
+  getTileMapByName,
+  getTileMapMaxAge,
+  getRetrySettings,
+  getRateLimitSettings,
+  getValidationSettings
+} from './config.js';
+import { readTileMetadata, createTileMetadata, writeTileMetadata, getRevalidationHeaders } from './metadata.js';
+import {
+  classifyError,
+  isRetryableError,
+  getRetryAfterDelay,
+  appendFailedDownload,
+  removeFailedDownload,
+  loadFailedDownloads,
+  pruneFailedDownloads
+} from './failures.js';
+import { DownloadJob } from './jobs.js';
+import { validateJobSpec, getJobSpecTileMaps, getJobSpecZoomRange, iterateJobSpecTiles } from './jobspec.js';
+import { RateLimiter, getRateLimitHost, sleep } from './ratelimit.js';
+import { validateTile } from './validation.js';
+import { getTileStorage, createTileLevelPath, getMicrosoftVETile, getOutputTileName } from './storage.js';
+import {
+  validateBoundingBox,
+  validateZoomRange,
+  iterateTilesForBoundingBox,
+  countTilesForBoundingBox,
+  getFeatureAreas
+} from './geo.js';
+
+// Feature property read for a feature's own tile map
+const DEFAULT_TILE_MAP_PROPERTY = 'tilemap';
 
 class TileDownloader {
   /**
@@ -18,20 +47,40 @@ class TileDownloader {
   constructor(config, concurrency = 5) {
     this.config = config;
     this.queue = new PQueue({ concurrency });
+    this.rateLimiter = new RateLimiter();
     this.failedDownloads = [];
 
+    // Tiles in the failed download journal, loaded per tile map on first use
+    this.journaledTiles = new Map();
+
+    // The job manifest of the current (or last) download run
+    this.job = null;
+
     // Statistics tracking
     this.stats = {
       calculatedTiles: 0,
       downloadedTiles: 0,
       failedTiles: 0,
-      skippedTiles: 0, // Already existing tiles
+      skippedTiles: 0, // Already existing tiles that have not expired
+      refreshedTiles: 0, // Expired tiles that were downloaded again
+      revalidatedTiles: 0, // Expired tiles the server reported as unchanged (304)
+      missingTiles: 0, // Tiles left alone by a refresh because they are not cached
+      rejectedTiles: 0, // Responses that failed content validation and were not written
+      retriedRequests: 0, // Requests repeated after a retryable error
+      downloadedBytes: 0, // Bytes received for tiles, including rejected ones
+      errorCounts: {}, // Number of failed tiles per error class of their last attempt
+      rejectionCounts: {}, // Number of rejected tiles per reason
       inProgress: 0,
       totalTiles: 0
     };
 
     // Progress tracking
     this.progressCallback = null;
+
+    // Budgets of new and resumed jobs, and the check before a new job starts
+    this.limits = { maxTiles: null, maxBytes: null };
+    this.confirmCallback = null;
+    this.confirmThreshold = Infinity;
   }
 
   /**
@@ -42,6 +91,52 @@ class TileDownloader {
     this.progressCallback = callback;
   }
 
+  /**
+   * Set the budgets of download jobs
+   *
+   * A new job with more than maxTiles tiles is rejected before it starts. A job
+   * stops queueing tiles once it has downloaded maxBytes bytes and is recorded
+   * as stopped, so it can be resumed later with a larger budget, or without one;
+   * tiles already being downloaded finish, so the budget can be exceeded by a few tiles.
+   * @param {Object} limits The budgets {maxTiles, maxBytes}; null for no limit
+   */
+  setLimits(limits) {
+    this.limits = { ...this.limits, ...limits };
+  }
+
+  /**
+   * Set a callback function asked before a new job starts downloading
+   *
+   * With a callback set, the tiles of GeoJSON areas and job files are counted up
+   * front, so that the callback gets the number of tiles. Counting stops once
+   * the job has more tiles than the threshold; the callback then gets exact
+   * set to false and totalTiles is only a lower bound.
+   * @param {Function|null} callback The callback function({tileMapName, area, minZoom, maxZoom, totalTiles, exact}),
+   *   returning (a promise of) whether to go ahead
+   * @param {number} threshold The number of tiles above which the exact count is not needed (default: always count all)
+   */
+  setConfirmCallback(callback, threshold = Infinity) {
+    this.confirmCallback = callback;
+    this.confirmThreshold = threshold;
+  }
+
+  /**
+   * Get the budgets that are set, as job options
+   * @returns {Object} The options {maxTiles, maxBytes}, without the unset ones
+   */
+  getLimitOptions() {
+    return Object.fromEntries(Object.entries(this.limits).filter(([, value]) => value !== null && value !== undefined));
+  }
+
+  /**
+   * Check whether a job has used up its byte budget
+   * @param {Object} options The job options
+   * @returns {boolean} Whether no more tiles should be downloaded
+   */
+  isBudgetExhausted(options) {
+    return options.maxBytes !== undefined && options.maxBytes !== null && this.stats.downloadedBytes >= options.maxBytes;
+  }
+
   /**
    * Reset statistics
    */
@@ -51,6 +146,14 @@ class TileDownloader {
       downloadedTiles: 0,
       failedTiles: 0,
       skippedTiles: 0,
+      refreshedTiles: 0,
+      revalidatedTiles: 0,
+      missingTiles: 0,
+      rejectedTiles: 0,
+      retriedRequests: 0,
+      downloadedBytes: 0,
+      errorCounts: {},
+      rejectionCounts: {},
       inProgress: 0,
       totalTiles: 0
     };
@@ -62,7 +165,25 @@ class TileDownloader {
    * @returns {Object} The current statistics
    */
   getStats() {
-    return { ...this.stats };
+    return {
+      ...this.stats,
+      errorCounts: { ...this.stats.errorCounts },
+      rejectionCounts: { ...this.stats.rejectionCounts }
+    };
+  }
+
+  /**
+   * Get the number of tiles that have been processed
+   * @returns {number} The number of completed tiles
+   */
+  getCompletedTiles() {
+    return this.stats.downloadedTiles +
+      this.stats.refreshedTiles +
+      this.stats.revalidatedTiles +
+      this.stats.failedTiles +
+      this.stats.skippedTiles +
+      this.stats.missingTiles +
+      this.stats.rejectedTiles;
   }
 
   /**
@@ -70,7 +191,7 @@ class TileDownloader {
    */
   updateProgress() {
     if (this.progressCallback) {
-      const completed = this.stats.downloadedTiles + this.stats.failedTiles + this.stats.skippedTiles;
+      const completed = this.getCompletedTiles();
       const progressPercent = this.stats.totalTiles > 0
         ? Math.round((completed / this.stats.totalTiles) * 100)
         : 0;
@@ -106,7 +227,16 @@ class TileDownloader {
   }
 
   /**
-   * Generate the file path for a tile
+   * Get the cache storage of a tile map
+   * @param {string} tileMapName The name of the tile map
+   * @returns {TileStorage} The tile storage, using the tile map's layout
+   */
+  getStorage(tileMapName) {
+    return getTileStorage(this.config, tileMapName);
+  }
+
+  /**
+   * Generate the file path for a tile using the tile map's cache layout
    * @param {string} tileMapName The name of the tile map
    * @param {number} x The x coordinate
    * @param {number} y The y coordinate
@@ -115,30 +245,7 @@ class TileDownloader {
    * @returns {string} The file path
    */
   generateTilePath(tileMapName, x, y, z, format) {
-    // Get the tile level path using the Microsoft VE tile algorithm
-    const tileLevelPath = this.createTileLevelPath(z, x, y);
-
-    // Generate the output tile name
-    const tileFileName = this.getOutputTileName(tileMapName, z, x, y);
-
-    // Combine the paths
-    let filePath;
-    if (tileLevelPath !== "") {
-      filePath = path.join(
-        this.config.TileCacheFolder,
-        tileMapName,
-        tileLevelPath,
-        `${tileFileName}.${format}`
-      );
-    } else {
-      filePath = path.join(
-        this.config.TileCacheFolder,
-        tileMapName,
-        `${tileFileName}.${format}`
-      );
-    }
-
-    return filePath;
+    return this.getStorage(tileMapName).getTilePath(x, y, z, format);
   }
 
   /**
@@ -149,18 +256,7 @@ class TileDownloader {
    * @returns {string} The tile level path
    */
   createTileLevelPath(level, xIndex, yIndex) {
-    const tileLevelString = this.getMicrosoftVETile(level, xIndex, yIndex);
-    if (tileLevelString === "_") {
-      return "";
-    }
-
-    // Create a path with each character as a separate directory
-    let result = "";
-    for (let i = 0; i < tileLevelString.length; i++) {
-      result = path.join(result, tileLevelString.substring(i, i + 1));
-    }
-
-    return result;
+    return createTileLevelPath(level, xIndex, yIndex);
   }
 
   /**
@@ -171,31 +267,7 @@ class TileDownloader {
    * @returns {string} The Microsoft VE tile string
    */
   getMicrosoftVETile(level, xIndex, yIndex) {
-    if (level === 0) {
-      return "_";
-    }
-
-    let builder = "";
-    let xInd = xIndex;
-    let yInd = yIndex;
-
-    for (let i = 1; i <= level; i++) {
-      let c = 0;
-      if (xInd % 2 === 1) {
-        c++;
-      }
-      if (yInd % 2 === 1) {
-        c += 2;
-      }
-
-      xInd = Math.floor(xInd / 2);
-      yInd = Math.floor(yInd / 2);
-
-      // Insert at the beginning of the string
-      builder = c.toString() + builder;
-    }
-
-    return builder;
+    return getMicrosoftVETile(level, xIndex, yIndex);
   }
 
   /**
@@ -207,156 +279,393 @@ class TileDownloader {
    * @returns {string} The output tile name
    */
   getOutputTileName(namePrefix, level, i, j) {
-    let fileName = namePrefix;
+    return getOutputTileName(namePrefix, level, i, j);
+  }
 
-    // Add level with padding
-    fileName += "_";
-    if (level < 100 && level >= 0) {
-      if (level < 10) {
-        fileName += "0" + level.toString();
-      } else {
-        fileName += level.toString();
+  /**
+   * Get the delay before retrying a failed request
+   * @param {Error} error The error thrown by the request
+   * @param {string} errorClass The error class of the error
+   * @param {number} attempt The number of the failed attempt (0 for the first request)
+   * @param {Object} retry The retry settings {MaxRetries, BaseDelay, MaxDelay}
+   * @returns {number|null} The delay in milliseconds, or null if the request should not be retried
+   */
+  getRetryDelay(error, errorClass, attempt, retry) {
+    if (attempt >= retry.MaxRetries || !isRetryableError(errorClass)) {
+      return null;
+    }
+
+    // Honor the server's Retry-After on 429 / 503, unless it asks us to wait too long
+    const retryAfter = getRetryAfterDelay(error);
+    if (retryAfter !== null && (error.response.status === 429 || error.response.status === 503)) {
+      return retryAfter <= retry.MaxDelay ? retryAfter : null;
+    }
+
+    // Exponential backoff with jitter between half and the full delay
+    const delay = Math.min(retry.MaxDelay, retry.BaseDelay * Math.pow(2, attempt));
+    return Math.round(delay / 2 + Math.random() * delay / 2);
+  }
+
+  /**
+   * Request a tile, retrying timeouts, network and server errors with exponential backoff
+   *
+   * Requests respect the rate limits of the tile map's host and the global bandwidth cap.
+   * @param {Object} tileMap The tile map configuration
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @param {Object} headers Additional request headers
+   * @returns {Promise<Object>} The axios response (status 2xx or 304)
+   */
+  async fetchTile(tileMap, x, y, z, headers = {}) {
+    const retry = getRetrySettings(this.config, tileMap);
+    const limits = getRateLimitSettings(this.config, tileMap);
+    const host = getRateLimitHost(tileMap.Url);
+
+    for (let attempt = 0; ; attempt++) {
+      // A new URL per attempt also moves on to another subdomain
+      const url = this.generateTileUrl(tileMap, x, y, z);
+
+      try {
+        // Every attempt counts against the host's request rate
+        await this.rateLimiter.acquire(host, limits);
+
+        const response = await axios({
+          method: 'get',
+          url: url,
+          responseType: 'arraybuffer',
+          headers: { 'User-Agent': limits.UserAgent, ...headers },
+          validateStatus: status => (status >= 200 && status < 300) || status === 304,
+          timeout: 30000 // 30 seconds timeout
+        });
+
+        await this.rateLimiter.consumeBandwidth(response.data?.length || 0, limits.MaxBytesPerSecond);
+        return response;
+      } catch (error) {
+        const errorClass = classifyError(error);
+        const delay = this.getRetryDelay(error, errorClass, attempt, retry);
+        if (delay === null) {
+          error.tileUrl = url;
+          throw error;
+        }
+
+        console.log(`Retrying tile (${tileMap.Name}, ${z}/${x}/${y}) in ${delay}ms after ${errorClass}: ${error.message}`);
+        this.stats.retriedRequests++;
+        await sleep(delay);
       }
-    } else if (level >= 100) {
-      fileName += "99";
-    } else if (level < 0) {
-      fileName += "00";
     }
+  }
 
-    // Add x coordinate with padding
-    fileName += "_";
-    if (i < 100000000 && i >= 0) {
-      const tmp = i.toString();
-      const padding = "0".repeat(8 - tmp.length);
-      fileName += padding + tmp;
-    } else if (i >= 100000000) {
-      fileName += "99999999";
-    } else if (i < 0) {
-      fileName += "00000000";
+  /**
+   * Get the tiles of a tile map that are in the failed download journal
+   * @param {string} tileMapName The name of the tile map
+   * @returns {Promise<Set<string>>} The journaled tiles as "z/x/y" keys
+   */
+  getJournaledTiles(tileMapName) {
+    if (!this.journaledTiles.has(tileMapName)) {
+      const journaled = loadFailedDownloads(this.config, { tileMap: tileMapName })
+        .then(entries => new Set(entries.map(entry => `${entry.z}/${entry.x}/${entry.y}`)))
+        .catch(error => {
+          console.error(`Failed to read the failed download journal: ${error.message}`);
+          return new Set();
+        });
+      this.journaledTiles.set(tileMapName, journaled);
     }
 
-    // Add y coordinate with padding
-    fileName += "_";
-    if (j < 100000000 && j >= 0) {
-      const tmp = j.toString();
-      const padding = "0".repeat(8 - tmp.length);
-      fileName += padding + tmp;
-    } else if (j >= 100000000) {
-      fileName += "99999999";
-    } else if (j < 0) {
-      fileName += "00000000";
+    return this.journaledTiles.get(tileMapName);
+  }
+
+  /**
+   * Drop a tile that is now cached from the failed download journal
+   * @param {string} tileMapName The name of the tile map
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<void>}
+   */
+  async clearFailedDownload(tileMapName, x, y, z) {
+    const journaled = await this.getJournaledTiles(tileMapName);
+    const tileKey = `${z}/${x}/${y}`;
+    if (!journaled.has(tileKey)) {
+      return;
     }
 
-    return fileName;
+    journaled.delete(tileKey);
+    await removeFailedDownload(this.config, { tileMapName, x, y, z }).catch(journalError => {
+      console.error(`Failed to journal resolved download: ${journalError.message}`);
+    });
   }
 
   /**
    * Download a single tile
+   *
+   * Existing tiles are skipped unless they are older than the tile map's TimeSpan,
+   * in which case they are revalidated with the ETag / Last-Modified of their metadata
+   * sidecar and downloaded again if the server has changed them. Responses that
+   * fail content validation (see validateTile()) are not written, so an expired
+   * tile keeps its cached copy. A tile that is cached afterwards is dropped from
+   * the failed download journal.
    * @param {string} tileMapName The name of the tile map
    * @param {number} x The x coordinate
    * @param {number} y The y coordinate
    * @param {number} z The zoom level
+   * @param {Object} options Optional settings {refreshOnly, maxAge, journal}; refreshOnly leaves uncached tiles alone,
+   *   maxAge (milliseconds) overrides the tile map's TimeSpan, journal: false keeps a failure out of
+   *   failedDownloads and the failed download journal
    * @returns {Promise<boolean>} Whether the download was successful
    */
-  async downloadTile(tileMapName, x, y, z) {
+  async downloadTile(tileMapName, x, y, z, options = {}) {
+    return (await this.downloadTileWithResult(tileMapName, x, y, z, options)).success;
+  }
+
+  /**
+   * Download a single tile and report why it failed
+   *
+   * Works like downloadTile() for callers that need to tell failures apart.
+   * @param {string} tileMapName The name of the tile map
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @param {Object} options Optional settings, as for downloadTile()
+   * @returns {Promise<Object>} The result {success, errorClass}; errorClass is the class of the download
+   *   error (see classifyError()), or null if the download succeeded or the response was rejected
+   */
+  async downloadTileWithResult(tileMapName, x, y, z, options = {}) {
     const tileMap = getTileMapByName(this.config, tileMapName);
-    const url = this.generateTileUrl(tileMap, x, y, z);
-    const filePath = this.generateTilePath(tileMapName, x, y, z, tileMap.Format);
+    const storage = this.getStorage(tileMapName);
+    const filePath = storage.getTilePath(x, y, z);
+    const maxAge = options.maxAge !== undefined ? options.maxAge : getTileMapMaxAge(tileMap);
 
     // Increment in-progress counter
     this.stats.inProgress++;
 
     try {
-      // Check if the tile already exists
-      if (await fs.pathExists(filePath)) {
+      // Check if the tile already exists and whether it has expired
+      const tileStat = await storage.statTile(x, y, z);
+      const isExpired = tileStat !== null && maxAge !== null && Date.now() - tileStat.mtimeMs > maxAge;
+
+      if (tileStat && !isExpired) {
         console.log(`Tile already exists: ${filePath}`);
 
+        await this.clearFailedDownload(tileMapName, x, y, z);
+
         // Update statistics
         this.stats.skippedTiles++;
         this.stats.inProgress--;
         this.updateProgress();
 
-        return true;
+        return { success: true, errorClass: null };
+      }
+
+      if (!tileStat && options.refreshOnly) {
+        // Update statistics
+        this.stats.missingTiles++;
+        this.stats.inProgress--;
+        this.updateProgress();
+
+        return { success: true, errorClass: null };
       }
 
-      // Ensure the directory exists
-      await fs.ensureDir(path.dirname(filePath));
+      // Send conditional headers when re-fetching an expired tile
+      const metadata = isExpired ? await readTileMetadata(filePath) : null;
 
       // Download the tile
-      const response = await axios({
-        method: 'get',
-        url: url,
-        responseType: 'arraybuffer',
-        timeout: 30000 // 30 seconds timeout
-      });
+      const response = await this.fetchTile(tileMap, x, y, z, getRevalidationHeaders(metadata));
+
+      if (response.status === 304) {
+        // The server has not changed the tile, so only reset its age; a deduplicated
+        // tile shares its file, so only its metadata holds its own age
+        const now = new Date();
+        if (tileStat.nlink <= 1) {
+          await fs.utimes(filePath, now, now);
+        }
+        await writeTileMetadata(filePath, { ...metadata, fetchedAt: now.toISOString() }, storage.tempFolder);
+        console.log(`Revalidated tile: ${filePath}`);
+        await this.clearFailedDownload(tileMapName, x, y, z);
+
+        // Update statistics
+        this.stats.revalidatedTiles++;
+        this.stats.inProgress--;
+        this.updateProgress();
+
+        return { success: true, errorClass: null };
+      }
+
+      // Rejected responses count against the byte budget too
+      this.stats.downloadedBytes += response.data.length;
+
+      // Keep error pages, empty responses and placeholder tiles out of the cache
+      const rejection = validateTile(
+        response.data,
+        response.headers['content-type'] || null,
+        tileMap,
+        getValidationSettings(this.config, tileMap)
+      );
+      if (rejection) {
+        console.error(`Rejected tile (${tileMapName}, ${z}/${x}/${y}): ${rejection.message}`);
+
+        // Update statistics
+        this.stats.rejectedTiles++;
+        this.stats.rejectionCounts[rejection.reason] = (this.stats.rejectionCounts[rejection.reason] || 0) + 1;
+        this.stats.inProgress--;
+        this.updateProgress();
+
+        return { success: false, errorClass: null };
+      }
 
-      // Save the tile
-      await fs.writeFile(filePath, response.data);
-      console.log(`Downloaded tile: ${filePath}`);
+      // Save the tile and its response metadata
+      await storage.writeTile(x, y, z, response.data);
+      await writeTileMetadata(filePath, createTileMetadata(response, response.data.length), storage.tempFolder);
+      await this.clearFailedDownload(tileMapName, x, y, z);
 
       // Update statistics
-      this.stats.downloadedTiles++;
+      if (isExpired) {
+        console.log(`Refreshed expired tile: ${filePath}`);
+        this.stats.refreshedTiles++;
+      } else {
+        console.log(`Downloaded tile: ${filePath}`);
+        this.stats.downloadedTiles++;
+      }
       this.stats.inProgress--;
       this.updateProgress();
 
-      return true;
+      return { success: true, errorClass: null };
     } catch (error) {
       console.error(`Failed to download tile (${tileMapName}, ${z}/${x}/${y}): ${error.message}`);
 
+      // Record the failure so it can be retried in a later run
+      const failedDownload = {
+        tileMapName,
+        x,
+        y,
+        z,
+        url: error.tileUrl || null,
+        error: error.message,
+        status: error.response?.status || null,
+        errorClass: classifyError(error),
+        timestamp: new Date().toISOString()
+      };
+      if (options.journal !== false) {
+        (await this.getJournaledTiles(tileMapName)).add(`${z}/${x}/${y}`);
+        this.failedDownloads.push(failedDownload);
+        await appendFailedDownload(this.config, failedDownload).catch(journalError => {
+          console.error(`Failed to journal failed download: ${journalError.message}`);
+        });
+      }
+
       // Update statistics
       this.stats.failedTiles++;
+      this.stats.errorCounts[failedDownload.errorClass] = (this.stats.errorCounts[failedDownload.errorClass] || 0) + 1;
       this.stats.inProgress--;
-      this.failedDownloads.push({ tileMapName, x, y, z });
       this.updateProgress();
 
-      return false;
+      return { success: false, errorClass: failedDownload.errorClass };
     }
   }
 
   /**
-   * Download tiles for a bounding box
+   * Queue tiles and wait for them to be processed
+   *
+   * Tiles are taken from the iterable only as fast as the queue works through
+   * them, so generators of any size can be downloaded with flat memory use.
    * @param {string} tileMapName The name of the tile map
-   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
-   * @param {number} minZoom The minimum zoom level
-   * @param {number} maxZoom The maximum zoom level
-   * @returns {Promise<Object>} Statistics about the download operation
+   * @param {Iterable<Object>|AsyncIterable<Object>} tiles Tile objects {x, y, z}, e.g. an array or generator;
+   *   tiles with their own tileMapName are downloaded from that tile map
+   * @param {Object} options Options passed to downloadTile()
+   * @param {DownloadJob} job Optional job recording the progress; tiles it has already done are skipped
+   * @param {number|null} totalTiles The number of tiles, if known in advance (defaults to the array length)
+   * @returns {Promise<Object>} Statistics about the operation
    */
-  async downloadTilesForBoundingBox(tileMapName, boundingBox, minZoom, maxZoom) {
-    console.log(`Downloading tiles for bounding box: ${boundingBox} (zoom ${minZoom}-${maxZoom})`);
-
-    // Reset statistics for this operation
-    this.resetStats();
-
-    // Calculate tiles for the bounding box
-    const tiles = calculateTilesForBoundingBox(boundingBox, minZoom, maxZoom);
-
+  async downloadTiles(tileMapName, tiles, options = {}, job = null, totalTiles = Array.isArray(tiles) ? tiles.length : null) {
     // Update statistics
-    this.stats.calculatedTiles = tiles.length;
-    this.stats.totalTiles = tiles.length;
-    console.log(`Total tiles to download: ${tiles.length}`);
+    this.stats.totalTiles = totalTiles;
+    const verb = options.refreshOnly ? 'check' : 'download';
+    console.log(`\nTotal tiles to ${verb}: ${totalTiles !== null ? totalTiles : 'calculating while downloading'}`);
+
+    if (job) {
+      await job.start(totalTiles);
+      console.log(`Job ID: ${job.id} (resume with: node src/cli.js resume ${job.id})`);
+    }
 
     // Initial progress update
     this.updateProgress();
 
-    // Add all tiles to the download queue
-    for (const tile of tiles) {
-      this.queue.add(() => this.downloadTile(tileMapName, tile.x, tile.y, tile.z));
+    // Keep only a few batches of tiles in the queue at a time
+    const maxQueued = Math.max(this.queue.concurrency * 4, 100);
+
+    // Add the tiles to the download queue
+    let index = 0;
+    let stopped = false;
+    for await (const tile of tiles) {
+      if (this.isBudgetExhausted(options)) {
+        stopped = true;
+        break;
+      }
+
+      const tileIndex = index++;
+      this.stats.calculatedTiles = index;
+
+      if (job && job.isDone(tileIndex)) {
+        continue;
+      }
+
+      if (this.queue.size >= maxQueued) {
+        await this.queue.onSizeLessThan(maxQueued);
+      }
+
+      this.queue.add(async () => {
+        // Queued tiles are left for a resumed run once the budget is used up
+        if (this.isBudgetExhausted(options)) {
+          stopped = true;
+          return;
+        }
+
+        await this.downloadTile(tile.tileMapName || tileMapName, tile.x, tile.y, tile.z, options);
+        if (job) {
+          job.markDone(tileIndex, this.getStats());
+        }
+      });
+    }
+
+    // The total is known once all tiles are enumerated
+    if (this.stats.totalTiles === null && !stopped) {
+      this.stats.totalTiles = index;
+      if (job) {
+        job.manifest.totalTiles = index;
+      }
     }
 
     // Wait for all downloads to complete
     await this.queue.onIdle();
 
+    if (stopped) {
+      console.log(`\nStopped after downloading ${this.stats.downloadedBytes} bytes, the budget of ${options.maxBytes} bytes`);
+      if (job) {
+        await job.stop(this.getStats(), `byte budget of ${options.maxBytes} reached`);
+        console.log(`Resume with a larger budget: node src/cli.js resume ${job.id} --max-bytes <size>, or without --max-bytes for no budget`);
+      }
+    } else if (job) {
+      await job.finish(this.getStats());
+    }
+
     // Final progress update
     this.updateProgress();
 
     // Report on download statistics
+    const succeeded = this.stats.downloadedTiles + this.stats.refreshedTiles;
+    const attempted = succeeded + this.stats.failedTiles;
     console.log(`
-Download Statistics:
+${options.refreshOnly ? 'Refresh' : 'Download'} Statistics:
 - Total Tiles: ${this.stats.totalTiles}
 - Downloaded: ${this.stats.downloadedTiles}
+- Refreshed (Expired): ${this.stats.refreshedTiles}
+- Revalidated (Unchanged): ${this.stats.revalidatedTiles}
 - Skipped (Already Exist): ${this.stats.skippedTiles}
+- Not Cached: ${this.stats.missingTiles}
+- Rejected (Invalid Content): ${this.stats.rejectedTiles}
 - Failed: ${this.stats.failedTiles}
-- Success Rate: ${Math.round((this.stats.downloadedTiles / (this.stats.downloadedTiles + this.stats.failedTiles)) * 100)}%
+- Retried Requests: ${this.stats.retriedRequests}
+- Success Rate: ${attempted > 0 ? Math.round((succeeded / attempted) * 100) : 100}%
     `);
 
     // Return the statistics
@@ -364,64 +673,279 @@ Download Statistics:
   }
 
   /**
-   * Download tiles for a GeoJSON feature
+   * Enumerate the tiles of a job, in the same order every time
+   * @param {Object} manifest The job manifest
+   * @returns {Generator<Object>} Tile objects {x, y, z}
+   */
+  iterateJobTiles(manifest) {
+    if (manifest.area.type === 'spec') {
+      return iterateJobSpecTiles(manifest.area.spec);
+    }
+    if (manifest.area.type === 'bbox') {
+      return iterateTilesForBoundingBox(manifest.area.bbox, manifest.minZoom, manifest.maxZoom);
+    }
+    return iterateJobSpecTiles(this.getGeoJSONJobSpec(manifest.tileMapName, manifest.area, manifest.minZoom, manifest.maxZoom));
+  }
+
+  /**
+   * Turn a GeoJSON area into a job spec with one area per feature
+   *
+   * Each feature keeps the zoom range and tile map set in its properties, and
+   * falls back to the given zoom range and tile map otherwise.
+   * @param {string} tileMapName The tile map of features without a tile map property
+   * @param {Object} area The area {type: 'geojson', geojson, buffer, properties}; properties names
+   *   the feature properties to read {minZoom, maxZoom, tileMap} (default: "minzoom", "maxzoom", "tilemap")
+   * @param {number} minZoom The minimum zoom level of features without a minimum zoom property
+   * @param {number} maxZoom The maximum zoom level of features without a maximum zoom property
+   * @returns {Object} The job spec {tileMaps, areas}
+   */
+  getGeoJSONJobSpec(tileMapName, area, minZoom, maxZoom) {
+    const { tileMap = DEFAULT_TILE_MAP_PROPERTY, ...zoomProperties } = area.properties || {};
+    const areas = getFeatureAreas(area.geojson, minZoom, maxZoom, { buffer: area.buffer, properties: zoomProperties });
+
+    return {
+      tileMaps: [tileMapName],
+      areas: areas.map(featureArea => ({
+        ...featureArea,
+        tileMaps: [(tileMap && featureArea.geojson.properties?.[tileMap]) || tileMapName]
+      }))
+    };
+  }
+
+  /**
+   * Count the tiles of a job, if that is cheap
+   * @param {Object} manifest The job manifest
+   * @returns {number|null} The number of tiles, or null if it is only known after enumerating them
+   */
+  countJobTiles(manifest) {
+    if (manifest.area.type === 'bbox') {
+      return countTilesForBoundingBox(manifest.area.bbox, manifest.minZoom, manifest.maxZoom);
+    }
+
+    // A GeoJSON job counted before (e.g. an interrupted one) keeps its total
+    return manifest.totalTiles || null;
+  }
+
+  /**
+   * Check the area and zoom range of a job before anything is recorded or downloaded
    * @param {string} tileMapName The name of the tile map
-   * @param {Object} geojson The GeoJSON object
+   * @param {Object} area The area, as in runJob()
    * @param {number} minZoom The minimum zoom level
    * @param {number} maxZoom The maximum zoom level
-   * @returns {Promise<Object>} Statistics about the download operation
+   * @throws {Error} If the area, zoom range or a tile map is not valid
    */
-  async downloadTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom) {
-    console.log(`Downloading tiles for GeoJSON (zoom ${minZoom}-${maxZoom})`);
+  validateJobArea(tileMapName, area, minZoom, maxZoom) {
+    validateZoomRange(minZoom, maxZoom);
+    if (area.type === 'spec') {
+      validateJobSpec(this.config, area.spec);
+      return;
+    }
+    if (area.type === 'bbox') {
+      validateBoundingBox(area.bbox);
+      getTileMapByName(this.config, tileMapName);
+      return;
+    }
+
+    const spec = this.getGeoJSONJobSpec(tileMapName, area, minZoom, maxZoom);
+    getJobSpecTileMaps(spec).forEach(name => getTileMapByName(this.config, name));
+  }
+
+  /**
+   * Create a job for an area and download its tiles
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} area The area {type: 'bbox', bbox}, {type: 'geojson', geojson, buffer, properties} or {type: 'spec', spec}
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Options passed to downloadTile()
+   * @returns {Promise<Object>} Statistics about the operation
+   */
+  async runJob(tileMapName, area, minZoom, maxZoom, options = {}) {
+    const spec = { tileMapName, area, minZoom, maxZoom, options: { ...options, ...this.getLimitOptions() } };
+
+    // Reject invalid input and jobs over budget before a job is recorded for them
+    this.validateJobArea(tileMapName, area, minZoom, maxZoom);
+    const totalTiles = await this.checkJobSize(spec);
 
     // Reset statistics for this operation
     this.resetStats();
 
-    // Calculate tiles for the GeoJSON
-    console.log('Calculating tiles for GeoJSON...');
-    console.log('This may take some time for complex GeoJSON or high zoom levels.');
+    this.job = await DownloadJob.create(this.config, spec);
+    const { manifest } = this.job;
+
+    return this.downloadTiles(tileMapName, this.iterateJobTiles(manifest), manifest.options, this.job, totalTiles);
+  }
 
-    const tiles = calculateTilesForGeoJSON(geojson, minZoom, maxZoom);
+  /**
+   * Count the tiles of a new job and check them against the tile budget and the confirmation callback
+   *
+   * Tiles that are not cheap to count are only enumerated if the budget or the
+   * callback needs them, and counting stops past the budget, or without one past
+   * the threshold of the callback.
+   * @param {Object} spec The job definition {tileMapName, area, minZoom, maxZoom, options}
+   * @returns {Promise<number|null>} The number of tiles, or null if it is only known after enumerating them
+   * @throws {Error} If the job has more tiles than the budget or the callback declines it
+   */
+  async checkJobSize(spec) {
+    const maxTiles = spec.options.maxTiles ?? null;
+    let totalTiles = this.countJobTiles(spec);
+    let exact = true;
+
+    if (totalTiles === null && (maxTiles !== null || this.confirmCallback)) {
+      console.log('Counting tiles...');
+      // Past the budget the job is rejected, so only without one does the callback need more
+      const limit = maxTiles ?? this.confirmThreshold;
+      totalTiles = 0;
+      for (const _tile of this.iterateJobTiles(spec)) {
+        if (++totalTiles > limit) {
+          exact = false;
+          break;
+        }
+      }
+    }
 
-    // Update statistics
-    this.stats.calculatedTiles = tiles.length;
-    this.stats.totalTiles = tiles.length;
-    console.log(`\nTotal tiles to download: ${tiles.length}`);
+    if (maxTiles !== null && totalTiles > maxTiles) {
+      throw new Error(`The job has ${exact ? totalTiles : `more than ${maxTiles}`} tiles, over the budget of ${maxTiles} tiles`);
+    }
+    if (this.confirmCallback && !await this.confirmCallback({ ...spec, totalTiles, exact })) {
+      throw new Error('Download cancelled');
+    }
+    return exact ? totalTiles : null;
+  }
 
-    // Initial progress update
-    this.updateProgress();
+  /**
+   * Download the tiles of a job spec with several tile maps and areas as a single job
+   * @param {Object} spec The job spec {name, tileMaps, areas}, e.g. from loadJobSpec()
+   * @returns {Promise<Object>} Combined statistics of all tile maps and areas
+   */
+  async runJobSpec(spec) {
+    validateJobSpec(this.config, spec);
+
+    const tileMaps = getJobSpecTileMaps(spec);
+    const [minZoom, maxZoom] = getJobSpecZoomRange(spec);
+    console.log(`Running job "${spec.name}": ${spec.areas.length} areas for ${tileMaps.join(', ')} (zoom ${minZoom}-${maxZoom})`);
+
+    return this.runJob(tileMaps.join(', '), { type: 'spec', spec }, minZoom, maxZoom);
+  }
 
-    // Add all tiles to the download queue
-    for (const tile of tiles) {
-      this.queue.add(() => this.downloadTile(tileMapName, tile.x, tile.y, tile.z));
+  /**
+   * Resume an interrupted or stopped download job where it stopped
+   *
+   * The budgets the job was started with are not kept: only those set with
+   * setLimits() apply, so a job stopped by its byte budget is resumed without
+   * one unless a new budget is set.
+   * @param {string} jobId The job ID
+   * @returns {Promise<Object>} Statistics about the whole job
+   */
+  async resumeJob(jobId) {
+    const job = await DownloadJob.load(this.config, jobId);
+    const { tileMapName, minZoom, maxZoom } = job.manifest;
+
+    // Budgets set now replace those of the interrupted run, including unset ones
+    const { maxTiles, maxBytes, ...jobOptions } = job.manifest.options;
+    const options = { ...jobOptions, ...this.getLimitOptions() };
+    job.manifest.options = options;
+
+    if (job.status === 'completed') {
+      console.log(`Job ${jobId} is already completed`);
+      return job.manifest.stats;
+    }
+    if (job.status === 'running') {
+      throw new Error(`Job ${jobId} is still running in process ${job.manifest.pid}`);
     }
 
-    // Wait for all downloads to complete
-    await this.queue.onIdle();
+    console.log(`Resuming job ${jobId}: ${tileMapName} (zoom ${minZoom}-${maxZoom}) at tile ${job.manifest.cursor}/${job.manifest.totalTiles}`);
 
-    // Final progress update
-    this.updateProgress();
+    // Continue the statistics of the interrupted run
+    this.resetStats();
+    if (job.manifest.stats) {
+      this.stats = { ...this.stats, ...job.manifest.stats, inProgress: 0 };
+    }
 
-    // Report on download statistics
-    console.log(`
-Download Statistics:
-- Total Tiles: ${this.stats.totalTiles}
-- Downloaded: ${this.stats.downloadedTiles}
-- Skipped (Already Exist): ${this.stats.skippedTiles}
-- Failed: ${this.stats.failedTiles}
-- Success Rate: ${Math.round((this.stats.downloadedTiles / (this.stats.downloadedTiles + this.stats.failedTiles)) * 100)}%
-    `);
+    this.job = job;
 
-    // Return the statistics
-    return this.getStats();
+    return this.downloadTiles(tileMapName, this.iterateJobTiles(job.manifest), options, job, this.countJobTiles(job.manifest));
+  }
+
+  /**
+   * Download tiles for a bounding box
+   * @param {string} tileMapName The name of the tile map
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @returns {Promise<Object>} Statistics about the download operation
+   */
+  async downloadTilesForBoundingBox(tileMapName, boundingBox, minZoom, maxZoom) {
+    console.log(`Downloading tiles for bounding box: ${boundingBox} (zoom ${minZoom}-${maxZoom})`);
+
+    return this.runJob(tileMapName, { type: 'bbox', bbox: boundingBox }, minZoom, maxZoom);
+  }
+
+  /**
+   * Download tiles for a GeoJSON feature
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} geojson The GeoJSON object
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {number|Object} buffer Optional distance in meters to grow the area by, or an object
+   *   mapping zoom levels to distances, e.g. {"0": 1000, "14": 100}, each applying from its zoom level up
+   * @param {Object} properties Optional names of the feature properties holding a feature's own
+   *   {minZoom, maxZoom, tileMap} (default: "minzoom", "maxzoom" and "tilemap", null to ignore one);
+   *   features without them use minZoom, maxZoom and tileMapName
+   * @returns {Promise<Object>} Statistics about the download operation
+   */
+  async downloadTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom, buffer = null, properties = {}) {
+    console.log(`Downloading tiles for GeoJSON (zoom ${minZoom}-${maxZoom})`);
+
+    return this.runJob(tileMapName, { type: 'geojson', geojson, buffer, properties }, minZoom, maxZoom);
+  }
+
+  /**
+   * Re-download the expired tiles of a bounding box, leaving fresh and uncached tiles alone
+   * @param {string} tileMapName The name of the tile map
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {maxAge} overriding the tile map's TimeSpan (milliseconds)
+   * @returns {Promise<Object>} Statistics about the refresh operation
+   */
+  async refreshTilesForBoundingBox(tileMapName, boundingBox, minZoom, maxZoom, options = {}) {
+    console.log(`Refreshing expired tiles for bounding box: ${boundingBox} (zoom ${minZoom}-${maxZoom})`);
+
+    return this.runJob(tileMapName, { type: 'bbox', bbox: boundingBox }, minZoom, maxZoom, {
+      ...options,
+      refreshOnly: true
+    });
+  }
+
+  /**
+   * Re-download the expired tiles of a GeoJSON object, leaving fresh and uncached tiles alone
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} geojson The GeoJSON object
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {maxAge, buffer, properties}: maxAge overrides the tile map's
+   *   TimeSpan (milliseconds), buffer and properties work as in downloadTilesForGeoJSON()
+   * @returns {Promise<Object>} Statistics about the refresh operation
+   */
+  async refreshTilesForGeoJSON(tileMapName, geojson, minZoom, maxZoom, options = {}) {
+    console.log(`Refreshing expired tiles for GeoJSON (zoom ${minZoom}-${maxZoom})`);
+
+    const { buffer = null, properties = {}, ...refreshOptions } = options;
+    return this.runJob(tileMapName, { type: 'geojson', geojson, buffer, properties }, minZoom, maxZoom, {
+      ...refreshOptions,
+      refreshOnly: true
+    });
   }
 
   /**
-   * Retry failed downloads
+   * Retry failed downloads recorded in the failed download journal
+   * @param {Object} filter Optional filter {tileMap, zoom, errorClass}; zoom is a level or [min, max]
    * @returns {Promise<Object>} Statistics about the retry operation
    */
-  async retryFailedDownloads() {
-    if (this.failedDownloads.length === 0) {
+  async retryFailedDownloads(filter = {}) {
+    const failedDownloads = await loadFailedDownloads(this.config, filter);
+
+    if (failedDownloads.length === 0) {
       console.log('No failed downloads to retry');
       return this.getStats();
     }
@@ -431,9 +955,7 @@ Download Statistics:
     // Reset statistics for this operation
     this.resetStats();
 
-    console.log(`Retrying ${this.failedDownloads.length} failed downloads`);
-    const failedDownloads = [...this.failedDownloads];
-    this.failedDownloads = [];
+    console.log(`Retrying ${failedDownloads.length} failed downloads`);
 
     // Update statistics
     this.stats.calculatedTiles = failedDownloads.length;
@@ -450,17 +972,26 @@ Download Statistics:
     // Wait for all downloads to complete
     await this.queue.onIdle();
 
+    // Drop the retried entries from the journal, keeping only those that failed again
+    await pruneFailedDownloads(this.config, filter, this.failedDownloads);
+    this.journaledTiles.clear();
+
     // Final progress update
     this.updateProgress();
 
+    // Tiles that are cached now count as recovered, whether or not they were fetched again
+    const recovered = this.stats.downloadedTiles + this.stats.refreshedTiles + this.stats.revalidatedTiles + this.stats.skippedTiles;
+
     // Report on retry statistics
     console.log(`
 Retry Statistics:
 - Total Retried: ${this.stats.totalTiles}
 - Successfully Downloaded: ${this.stats.downloadedTiles}
 - Skipped (Already Exist): ${this.stats.skippedTiles}
+- Refreshed (Expired): ${this.stats.refreshedTiles}
+- Revalidated (Unchanged): ${this.stats.revalidatedTiles}
 - Failed Again: ${this.stats.failedTiles}
-- Success Rate: ${Math.round((this.stats.downloadedTiles / this.stats.totalTiles) * 100)}%
+- Success Rate: ${Math.round((recovered / this.stats.totalTiles) * 100)}%
     `);
 
     // Return the statistics
@@ -0,0 +1,271 @@
+/**
+ * Download estimates for the Geo Tile Downloader
+ */
+
+import { getTileMapByName, getTileMapMaxAge, getRateLimitSettings } from './config.js';
+import { TileDownloader } from './downloader.js';
+import { validateJobSpec, getJobSpecZoomRange } from './jobspec.js';
+
+// Default number of tiles requested per tile map and zoom level
+const DEFAULT_SAMPLES = 3;
+
+class TileEstimator {
+  /**
+   * Create a new TileEstimator
+   * @param {Object} config The application configuration
+   * @param {TileDownloader} downloader Optional downloader used to enumerate and request tiles
+   */
+  constructor(config, downloader = new TileDownloader(config)) {
+    this.config = config;
+    this.downloader = downloader;
+  }
+
+  /**
+   * Estimate the download of a bounding box
+   * @param {string} tileMapName The name of the tile map
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {samples}; see estimateJob()
+   * @returns {Promise<Object>} The estimate, see estimateJob()
+   */
+  async estimateBoundingBox(tileMapName, boundingBox, minZoom, maxZoom, options = {}) {
+    return this.estimateJob(tileMapName, { type: 'bbox', bbox: boundingBox }, minZoom, maxZoom, options);
+  }
+
+  /**
+   * Estimate the download of a GeoJSON object
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} geojson The GeoJSON object
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {buffer, properties, samples}; buffer and properties work
+   *   as in TileDownloader.downloadTilesForGeoJSON()
+   * @returns {Promise<Object>} The estimate, see estimateJob()
+   */
+  async estimateGeoJSON(tileMapName, geojson, minZoom, maxZoom, options = {}) {
+    const { buffer = null, properties = {}, ...estimateOptions } = options;
+    return this.estimateJob(tileMapName, { type: 'geojson', geojson, buffer, properties }, minZoom, maxZoom, estimateOptions);
+  }
+
+  /**
+   * Estimate the download of a job spec
+   * @param {Object} spec The job spec {name, tileMaps, areas}, e.g. from loadJobSpec()
+   * @param {Object} options Optional settings {samples}; see estimateJob()
+   * @returns {Promise<Object>} The estimate, see estimateJob()
+   */
+  async estimateJobSpec(spec, options = {}) {
+    validateJobSpec(this.config, spec);
+
+    const [minZoom, maxZoom] = getJobSpecZoomRange(spec);
+    return this.estimateJob(null, { type: 'spec', spec }, minZoom, maxZoom, options);
+  }
+
+  /**
+   * Estimate the download of an area without downloading it
+   *
+   * Every tile of the area is looked up in the cache; tiles that are missing or
+   * expired would be downloaded. Their size is estimated from a few of them per
+   * tile map and zoom level, requested from the server but not written to the
+   * cache, or from the cached tiles of that zoom level if none are to be
+   * downloaded or requests are turned off with `samples: 0`.
+   * @param {string} tileMapName The name of the tile map (null for a job spec)
+   * @param {Object} area The area, as in TileDownloader.runJob()
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {samples}, the number of tiles to request per tile map and
+   *   zoom level (default: 3)
+   * @returns {Promise<Object>} The estimate {levels, totalTiles, cachedTiles, expiredTiles, downloadTiles,
+   *   estimatedBytes, estimatedSeconds}; levels has the same counts per tile map and zoom level, with
+   *   {sampledTiles, failedSamples, averageTileBytes}
+   */
+  async estimateJob(tileMapName, area, minZoom, maxZoom, options = {}) {
+    this.downloader.validateJobArea(tileMapName, area, minZoom, maxZoom);
+    const samples = options.samples ?? DEFAULT_SAMPLES;
+
+    const levels = await this.countLevels(tileMapName, area, minZoom, maxZoom, samples);
+    for (const level of levels) {
+      await this.sampleLevel(level);
+    }
+
+    return this.summarize(levels);
+  }
+
+  /**
+   * Look up every tile of an area in the cache, counting tiles per tile map and zoom level
+   *
+   * A random selection of the tiles to download is kept per level (reservoir
+   * sampling), so the tiles never have to be held in memory.
+   * @param {string} tileMapName The name of the tile map (null for a job spec)
+   * @param {Object} area The area, as in TileDownloader.runJob()
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {number} samples The number of tiles to select per level
+   * @returns {Promise<Array<Object>>} The levels, by tile map and zoom level
+   */
+  async countLevels(tileMapName, area, minZoom, maxZoom, samples) {
+    const levels = new Map();
+    const tiles = this.downloader.iterateJobTiles({ tileMapName, area, minZoom, maxZoom });
+
+    for (const tile of tiles) {
+      const name = tile.tileMapName || tileMapName;
+      const key = `${name}/${tile.z}`;
+      if (!levels.has(key)) {
+        const tileMap = getTileMapByName(this.config, name);
+        levels.set(key, {
+          tileMapName: name,
+          zoom: tile.z,
+          tiles: 0,
+          cachedTiles: 0,
+          expiredTiles: 0,
+          downloadTiles: 0,
+          cachedBytes: 0,
+          sampledTiles: 0,
+          failedSamples: 0,
+          sampledBytes: 0,
+          sampledMs: 0,
+          averageTileBytes: null,
+          estimatedBytes: null,
+          maxAge: getTileMapMaxAge(tileMap),
+          candidates: []
+        });
+      }
+
+      const level = levels.get(key);
+      level.tiles++;
+
+      const tileStat = await this.downloader.getStorage(name).statTile(tile.x, tile.y, tile.z);
+      const isExpired = tileStat !== null && level.maxAge !== null && Date.now() - tileStat.mtimeMs > level.maxAge;
+      if (tileStat) {
+        level.cachedTiles++;
+        level.cachedBytes += tileStat.size;
+        if (isExpired) {
+          level.expiredTiles++;
+        }
+      }
+
+      if (!tileStat || isExpired) {
+        level.downloadTiles++;
+        if (level.candidates.length < samples) {
+          level.candidates.push(tile);
+        } else {
+          const index = Math.floor(Math.random() * level.downloadTiles);
+          if (index < samples) {
+            level.candidates[index] = tile;
+          }
+        }
+      }
+    }
+
+    return Array.from(levels.values());
+  }
+
+  /**
+   * Request the selected tiles of a level from the server and measure them
+   * @param {Object} level The level from countLevels()
+   * @returns {Promise<void>}
+   */
+  async sampleLevel(level) {
+    const tileMap = getTileMapByName(this.config, level.tileMapName);
+
+    for (const tile of level.candidates) {
+      const start = Date.now();
+      try {
+        const response = await this.downloader.fetchTile(tileMap, tile.x, tile.y, tile.z);
+        level.sampledTiles++;
+        level.sampledBytes += response.data?.length || 0;
+        level.sampledMs += Date.now() - start;
+      } catch (error) {
+        console.log(`Failed to sample tile (${tileMap.Name}, ${tile.z}/${tile.x}/${tile.y}): ${error.message}`);
+        level.failedSamples++;
+      }
+    }
+  }
+
+  /**
+   * Turn the measured levels into size and duration estimates
+   *
+   * Levels without a measured or cached tile use the average tile size of all
+   * levels. The duration assumes the downloader's concurrency with the sampled
+   * response times, slowed down to the configured rate and bandwidth limits.
+   * @param {Array<Object>} levels The levels from countLevels(), after sampleLevel()
+   * @returns {Object} The estimate, see estimateJob()
+   */
+  summarize(levels) {
+    const sampled = levels.reduce((sum, level) => sum + level.sampledTiles, 0);
+    const sampledBytes = levels.reduce((sum, level) => sum + level.sampledBytes, 0);
+    const sampledMs = levels.reduce((sum, level) => sum + level.sampledMs, 0);
+    const cached = levels.reduce((sum, level) => sum + level.cachedTiles, 0);
+    const cachedBytes = levels.reduce((sum, level) => sum + level.cachedBytes, 0);
+    const fallbackBytes = sampled > 0 ? sampledBytes / sampled : (cached > 0 ? cachedBytes / cached : null);
+
+    for (const level of levels) {
+      if (level.sampledTiles > 0) {
+        level.averageTileBytes = Math.round(level.sampledBytes / level.sampledTiles);
+      } else if (level.cachedTiles > 0) {
+        level.averageTileBytes = Math.round(level.cachedBytes / level.cachedTiles);
+      } else if (fallbackBytes !== null) {
+        level.averageTileBytes = Math.round(fallbackBytes);
+      }
+      level.estimatedBytes = level.averageTileBytes !== null ? level.downloadTiles * level.averageTileBytes : null;
+    }
+
+    const estimate = {
+      levels: levels.map(({ maxAge, candidates, cachedBytes, sampledBytes, sampledMs, ...level }) => level),
+      totalTiles: levels.reduce((sum, level) => sum + level.tiles, 0),
+      cachedTiles: cached,
+      expiredTiles: levels.reduce((sum, level) => sum + level.expiredTiles, 0),
+      downloadTiles: levels.reduce((sum, level) => sum + level.downloadTiles, 0),
+      estimatedBytes: levels.some(level => level.estimatedBytes === null)
+        ? null
+        : levels.reduce((sum, level) => sum + level.estimatedBytes, 0),
+      estimatedSeconds: null
+    };
+
+    if (estimate.downloadTiles === 0) {
+      estimate.estimatedSeconds = 0;
+    } else if (sampled > 0) {
+      estimate.estimatedSeconds = this.estimateSeconds(levels, sampledMs / sampled, estimate.estimatedBytes);
+    }
+    return estimate;
+  }
+
+  /**
+   * Estimate how long downloading the levels takes
+   * @param {Array<Object>} levels The levels from countLevels()
+   * @param {number} averageMs The average response time of a tile request
+   * @param {number|null} totalBytes The estimated download size
+   * @returns {number} The estimated duration in seconds
+   */
+  estimateSeconds(levels, averageMs, totalBytes) {
+    const concurrency = this.downloader.queue.concurrency;
+    let seconds = 0;
+    let maxBytesPerSecond = null;
+
+    const requestsPerTileMap = new Map();
+    for (const level of levels) {
+      requestsPerTileMap.set(level.tileMapName, (requestsPerTileMap.get(level.tileMapName) || 0) + level.downloadTiles);
+    }
+
+    for (const [tileMapName, requests] of requestsPerTileMap) {
+      const limits = getRateLimitSettings(this.config, getTileMapByName(this.config, tileMapName));
+      maxBytesPerSecond = limits.MaxBytesPerSecond;
+      const rates = [limits.MaxRequestsPerSecond, limits.MaxRequestsPerMinute && limits.MaxRequestsPerMinute / 60]
+        .filter(rate => rate > 0);
+
+      let tileMapSeconds = requests * averageMs / concurrency / 1000;
+      if (rates.length > 0) {
+        tileMapSeconds = Math.max(tileMapSeconds, requests / Math.min(...rates));
+      }
+      seconds += tileMapSeconds;
+    }
+
+    // The bandwidth cap is shared by all tile maps
+    if (maxBytesPerSecond > 0 && totalBytes !== null) {
+      seconds = Math.max(seconds, totalBytes / maxBytesPerSecond);
+    }
+    return Math.round(seconds);
+  }
+}
+
+export { TileEstimator };
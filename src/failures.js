@@ -0,0 +1,272 @@
+/**
+ * Failed download journal for the Geo Tile Downloader
+ *
+ * Failures are appended as JSON lines to one journal file per tile map under
+ * {TileCacheFolder}/.failed so that they survive between CLI runs. A tile that
+ * is downloaded later gets a {resolved: true} line that drops its earlier entry.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+
+const FAILED_FOLDER_NAME = '.failed';
+
+/**
+ * Classify a download error into a coarse error class
+ * @param {Error} error The error thrown by the download
+ * @returns {string} The error class
+ */
+function classifyError(error) {
+  const status = error.response?.status;
+
+  if (status) {
+    if (status === 404) {
+      return 'not-found';
+    }
+    if (status === 401 || status === 403) {
+      return 'forbidden';
+    }
+    if (status === 429) {
+      return 'rate-limited';
+    }
+    if (status >= 500) {
+      return 'server-error';
+    }
+    return 'client-error';
+  }
+
+  if (error.code === 'ECONNABORTED' || error.code === 'ETIMEDOUT') {
+    return 'timeout';
+  }
+  if (error.isAxiosError && error.code) {
+    return 'network';
+  }
+
+  return 'unknown';
+}
+
+/**
+ * Check whether a download error is worth retrying within the same run
+ * @param {string} errorClass The error class from classifyError()
+ * @returns {boolean} Whether the download should be retried
+ */
+function isRetryableError(errorClass) {
+  return ['timeout', 'network', 'server-error', 'rate-limited'].includes(errorClass);
+}
+
+/**
+ * Get the delay requested by a Retry-After response header
+ * @param {Error} error The error thrown by the download
+ * @returns {number|null} The delay in milliseconds, or null if there is no valid header
+ */
+function getRetryAfterDelay(error) {
+  const retryAfter = error.response?.headers?.['retry-after'];
+  if (!retryAfter) {
+    return null;
+  }
+
+  // Either a number of seconds or an HTTP date
+  if (/^\d+$/.test(retryAfter.trim())) {
+    return parseInt(retryAfter, 10) * 1000;
+  }
+
+  const date = Date.parse(retryAfter);
+  return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Get the folder holding the failed download journals
+ * @param {Object} config The application configuration
+ * @returns {string} The journal folder path
+ */
+function getFailedFolder(config) {
+  return path.join(config.TileCacheFolder, FAILED_FOLDER_NAME);
+}
+
+/**
+ * Get the journal file path for a tile map
+ * @param {Object} config The application configuration
+ * @param {string} tileMapName The name of the tile map
+ * @returns {string} The journal file path
+ */
+function getFailedJournalPath(config, tileMapName) {
+  return path.join(getFailedFolder(config), `${tileMapName}.jsonl`);
+}
+
+/**
+ * Get the unique key of a journal entry
+ * @param {Object} entry The journal entry
+ * @returns {string} The entry key
+ */
+function getEntryKey(entry) {
+  return `${entry.tileMapName}/${entry.z}/${entry.x}/${entry.y}`;
+}
+
+/**
+ * Append a failed download to the journal of its tile map
+ * @param {Object} config The application configuration
+ * @param {Object} entry The failed download {tileMapName, x, y, z, url, error, status, errorClass, timestamp}
+ * @returns {Promise<void>}
+ */
+async function appendFailedDownload(config, entry) {
+  const journalPath = getFailedJournalPath(config, entry.tileMapName);
+  await fs.ensureDir(path.dirname(journalPath));
+  await fs.appendFile(journalPath, JSON.stringify(entry) + '\n');
+}
+
+/**
+ * Mark the journal entry of a tile as resolved after it has been downloaded
+ * @param {Object} config The application configuration
+ * @param {Object} tile The tile {tileMapName, x, y, z}
+ * @returns {Promise<void>}
+ */
+async function removeFailedDownload(config, { tileMapName, x, y, z }) {
+  await appendFailedDownload(config, { tileMapName, x, y, z, resolved: true, timestamp: new Date().toISOString() });
+}
+
+/**
+ * Read the journal of a single tile map
+ * @param {string} journalPath The journal file path
+ * @returns {Promise<Array<Object>>} The journal entries, deduplicated by tile (latest wins,
+ *   resolved tiles are left out)
+ */
+async function readJournal(journalPath) {
+  if (!await fs.pathExists(journalPath)) {
+    return [];
+  }
+
+  const content = await fs.readFile(journalPath, 'utf8');
+  const entries = new Map();
+
+  for (const line of content.split('\n')) {
+    if (line.trim() === '') {
+      continue;
+    }
+
+    try {
+      const entry = JSON.parse(line);
+      if (entry.resolved) {
+        entries.delete(getEntryKey(entry));
+      } else {
+        entries.set(getEntryKey(entry), entry);
+      }
+    } catch (error) {
+      // A partially written last line is ignored
+    }
+  }
+
+  return Array.from(entries.values());
+}
+
+/**
+ * Check whether a journal entry matches the given filter
+ * @param {Object} entry The journal entry
+ * @param {Object} filter The filter {tileMap, zoom, errorClass}
+ * @returns {boolean} Whether the entry matches
+ */
+function matchesFilter(entry, filter) {
+  if (filter.tileMap && entry.tileMapName !== filter.tileMap) {
+    return false;
+  }
+
+  if (filter.zoom !== undefined && filter.zoom !== null) {
+    const [minZoom, maxZoom] = Array.isArray(filter.zoom) ? filter.zoom : [filter.zoom, filter.zoom];
+    if (entry.z < minZoom || entry.z > maxZoom) {
+      return false;
+    }
+  }
+
+  if (filter.errorClass && entry.errorClass !== filter.errorClass) {
+    return false;
+  }
+
+  return true;
+}
+
+/**
+ * Load failed downloads from the journals
+ * @param {Object} config The application configuration
+ * @param {Object} filter Optional filter {tileMap, zoom, errorClass}
+ * @returns {Promise<Array<Object>>} The matching failed downloads
+ */
+async function loadFailedDownloads(config, filter = {}) {
+  const entries = [];
+  for (const journalPath of await listJournals(config, filter.tileMap)) {
+    entries.push(...await readJournal(journalPath));
+  }
+
+  return entries.filter(entry => matchesFilter(entry, filter));
+}
+
+/**
+ * Rewrite the journals after a retry
+ *
+ * Entries matching the filter are replaced by the downloads that failed again;
+ * entries outside the filter are kept untouched.
+ * @param {Object} config The application configuration
+ * @param {Object} filter The filter used to select the retried entries
+ * @param {Array<Object>} stillFailed The downloads that failed again
+ * @returns {Promise<void>}
+ */
+async function pruneFailedDownloads(config, filter, stillFailed) {
+  const failedByMap = new Map();
+  for (const entry of stillFailed) {
+    if (!failedByMap.has(entry.tileMapName)) {
+      failedByMap.set(entry.tileMapName, []);
+    }
+    failedByMap.get(entry.tileMapName).push(entry);
+  }
+
+  const journalPaths = new Set(await listJournals(config, filter.tileMap));
+  for (const tileMapName of failedByMap.keys()) {
+    journalPaths.add(getFailedJournalPath(config, tileMapName));
+  }
+
+  for (const journalPath of journalPaths) {
+    const tileMapName = path.basename(journalPath, '.jsonl');
+    const kept = (await readJournal(journalPath))
+      .filter(entry => !matchesFilter(entry, filter))
+      .concat(failedByMap.get(tileMapName) || []);
+
+    if (kept.length === 0) {
+      await fs.remove(journalPath);
+    } else {
+      await fs.ensureDir(path.dirname(journalPath));
+      await fs.writeFile(journalPath, kept.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+    }
+  }
+}
+
+/**
+ * List the existing journal files
+ * @param {Object} config The application configuration
+ * @param {string} tileMapName Optional tile map name to restrict to
+ * @returns {Promise<Array<string>>} The journal file paths
+ */
+async function listJournals(config, tileMapName) {
+  if (tileMapName) {
+    const journalPath = getFailedJournalPath(config, tileMapName);
+    return await fs.pathExists(journalPath) ? [journalPath] : [];
+  }
+
+  const folder = getFailedFolder(config);
+  if (!await fs.pathExists(folder)) {
+    return [];
+  }
+
+  const files = await fs.readdir(folder);
+  return files
+    .filter(file => file.endsWith('.jsonl'))
+    .map(file => path.join(folder, file));
+}
+
+export {
+  classifyError,
+  isRetryableError,
+  getRetryAfterDelay,
+  getFailedJournalPath,
+  appendFailedDownload,
+  removeFailedDownload,
+  loadFailedDownloads,
+  pruneFailedDownloads
+};
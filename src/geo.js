@@ -4,8 +4,20 @@
 
 import * as turf from '@turf/turf';
 
+// Latitude limit of the Web Mercator projection
+const MAX_LATITUDE = 85.0511287798066;
+
+// Highest zoom level accepted
+const MAX_ZOOM = 30;
+
+// Feature properties read for per-feature zoom ranges
+const DEFAULT_ZOOM_PROPERTIES = { minZoom: 'minzoom', maxZoom: 'maxzoom' };
+
 /**
  * Convert latitude and longitude to tile coordinates
+ *
+ * Latitudes are clamped to the Web Mercator limits and longitudes of 180° fall
+ * into the last column, so the tile is always a valid tile of the zoom level.
  * @param {number} lat Latitude
  * @param {number} lon Longitude
  * @param {number} zoom Zoom level
@@ -13,10 +25,14 @@ import * as turf from '@turf/turf';
  */
 function latLonToTile(lat, lon, zoom) {
   const n = Math.pow(2, zoom);
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
   const x = Math.floor((lon + 180) / 360 * n);
-  const latRad = lat * Math.PI / 180;
+  const latRad = clampedLat * Math.PI / 180;
   const y = Math.floor((1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2 * n);
-  return { x, y };
+  return {
+    x: Math.max(0, Math.min(n - 1, x)),
+    y: Math.max(0, Math.min(n - 1, y))
+  };
 }
 
 /**
@@ -36,144 +52,651 @@ function tileToLatLonBounds(x, y, zoom) {
 }
 
 /**
- * Calculate tiles that cover a bounding box
+ * Check that a bounding box is valid
+ *
+ * A bounding box whose minLon is greater than its maxLon crosses the antimeridian,
+ * e.g. [170, -20, -170, -10] for a strip of the Pacific.
  * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+ * @throws {Error} If the bounding box is not valid
+ */
+function validateBoundingBox(boundingBox) {
+  if (!Array.isArray(boundingBox) || boundingBox.length !== 4 || !boundingBox.every(Number.isFinite)) {
+    throw new Error(`Invalid bounding box "${boundingBox}", expected four numbers "minLon,minLat,maxLon,maxLat"`);
+  }
+
+  const [minLon, minLat, maxLon, maxLat] = boundingBox;
+  if (minLon < -180 || minLon > 180 || maxLon < -180 || maxLon > 180) {
+    throw new Error(`Invalid bounding box "${boundingBox}": longitudes must be between -180 and 180`);
+  }
+  if (minLat < -90 || minLat > 90 || maxLat < -90 || maxLat > 90) {
+    throw new Error(`Invalid bounding box "${boundingBox}": latitudes must be between -90 and 90`);
+  }
+  if (minLat > maxLat) {
+    throw new Error(`Invalid bounding box "${boundingBox}": minLat must not be greater than maxLat`);
+  }
+}
+
+/**
+ * Check that a zoom range is valid
  * @param {number} minZoom Minimum zoom level
  * @param {number} maxZoom Maximum zoom level
- * @returns {Array<Object>} Array of tile objects {x, y, z}
+ * @throws {Error} If the zoom range is not valid
  */
-function calculateTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+function validateZoomRange(minZoom, maxZoom) {
+  for (const zoom of [minZoom, maxZoom]) {
+    if (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM) {
+      throw new Error(`Invalid zoom level "${zoom}", expected a whole number between 0 and ${MAX_ZOOM}`);
+    }
+  }
+  if (minZoom > maxZoom) {
+    throw new Error(`Invalid zoom range ${minZoom}-${maxZoom}: the minimum zoom level must not be greater than the maximum`);
+  }
+}
+
+/**
+ * Get the ranges of tiles covering a bounding box at one zoom level
+ *
+ * A bounding box crossing the antimeridian is split into a range on each side
+ * of it, unless the two meet at this zoom level.
+ * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+ * @param {number} zoom Zoom level
+ * @returns {Array<Object>} Non-overlapping tile ranges {minX, minY, maxX, maxY}
+ */
+function getTileRanges(boundingBox, zoom) {
   const [minLon, minLat, maxLon, maxLat] = boundingBox;
-  const tiles = [];
+
+  // Get tile coordinates for the corners of the bounding box
+  const topLeft = latLonToTile(maxLat, minLon, zoom);
+  const bottomRight = latLonToTile(minLat, maxLon, zoom);
+  const rows = { minY: topLeft.y, maxY: bottomRight.y };
+
+  if (minLon <= maxLon) {
+    return [{ minX: topLeft.x, maxX: bottomRight.x, ...rows }];
+  }
+
+  const lastColumn = Math.pow(2, zoom) - 1;
+  if (bottomRight.x >= topLeft.x - 1) {
+    return [{ minX: 0, maxX: lastColumn, ...rows }];
+  }
+  return [
+    { minX: topLeft.x, maxX: lastColumn, ...rows },
+    { minX: 0, maxX: bottomRight.x, ...rows }
+  ];
+}
+
+/**
+ * Enumerate the tiles that cover a bounding box one at a time, without building a list
+ * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+ * @param {number} minZoom Minimum zoom level
+ * @param {number} maxZoom Maximum zoom level
+ * @yields {Object} Tile objects {x, y, z}, by zoom level, then x (west to east), then y
+ */
+function* iterateTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+  validateBoundingBox(boundingBox);
 
   for (let z = minZoom; z <= maxZoom; z++) {
-    // Get tile coordinates for the corners of the bounding box
-    const topLeft = latLonToTile(maxLat, minLon, z);
-    const bottomRight = latLonToTile(minLat, maxLon, z);
-
-    // Iterate over all tiles in the bounding box
-    for (let x = topLeft.x; x <= bottomRight.x; x++) {
-      for (let y = topLeft.y; y <= bottomRight.y; y++) {
-        tiles.push({ x, y, z });
+    for (const range of getTileRanges(boundingBox, z)) {
+      // Iterate over all tiles in the bounding box
+      for (let x = range.minX; x <= range.maxX; x++) {
+        for (let y = range.minY; y <= range.maxY; y++) {
+          yield { x, y, z };
+        }
       }
     }
   }
-
-  return tiles;
 }
 
 /**
- * Check if a tile intersects with a GeoJSON feature
- * @param {number} x Tile x coordinate
- * @param {number} y Tile y coordinate
- * @param {number} zoom Zoom level
- * @param {Object} feature GeoJSON feature
- * @returns {boolean} Whether the tile intersects with the feature
+ * Count the tiles that cover a bounding box without enumerating them
+ * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+ * @param {number} minZoom Minimum zoom level
+ * @param {number} maxZoom Maximum zoom level
+ * @returns {number} The number of tiles
  */
-function tileIntersectsFeature(x, y, zoom, feature) {
-  // Convert tile to bounding box
-  const [west, south, east, north] = tileToLatLonBounds(x, y, zoom);
-
-  // Create a polygon for the tile
-  const tilePolygon = turf.polygon([[
-    [west, north],
-    [east, north],
-    [east, south],
-    [west, south],
-    [west, north]
-  ]]);
+function countTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+  validateBoundingBox(boundingBox);
 
-  // Check if the tile intersects with the feature
-  return turf.booleanIntersects(tilePolygon, feature);
+  let count = 0;
+  for (let z = minZoom; z <= maxZoom; z++) {
+    for (const range of getTileRanges(boundingBox, z)) {
+      count += (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+    }
+  }
+  return count;
 }
 
 /**
- * Calculate tiles that cover a GeoJSON object
- * @param {Object} geojson GeoJSON object
+ * Calculate tiles that cover a bounding box
+ * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
  * @param {number} minZoom Minimum zoom level
  * @param {number} maxZoom Maximum zoom level
  * @returns {Array<Object>} Array of tile objects {x, y, z}
  */
-function calculateTilesForGeoJSON(geojson, minZoom, maxZoom) {
-  // Convert GeoJSON to features array
-  let features = [];
+function calculateTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+  return Array.from(iterateTilesForBoundingBox(boundingBox, minZoom, maxZoom));
+}
+
+/**
+ * Get the features of a GeoJSON object
+ * @param {Object} geojson GeoJSON object
+ * @returns {Array<Object>} The GeoJSON features
+ */
+function getFeatures(geojson) {
+  if (!geojson || typeof geojson.type !== 'string') {
+    throw new Error('Invalid GeoJSON: expected a FeatureCollection, Feature or geometry object');
+  }
   if (geojson.type === 'FeatureCollection') {
-    features = geojson.features;
-  } else if (geojson.type === 'Feature') {
-    features = [geojson];
-  } else {
-    // Convert geometry to feature
-    features = [turf.feature(geojson)];
+    return geojson.features;
+  }
+  if (geojson.type === 'Feature') {
+    return [geojson];
   }
 
-  // Use a Set to store unique tile keys
-  const tileSet = new Set();
-  // Store the actual tile objects
-  const tileMap = new Map();
+  // Convert geometry to feature
+  return [turf.feature(geojson)];
+}
 
-  // Calculate total number of features for progress reporting
-  const totalFeatures = features.length;
-  const totalZoomLevels = maxZoom - minZoom + 1;
+/**
+ * Project a position to Web Mercator coordinates scaled to the unit square
+ * @param {Array<number>} position [lon, lat]
+ * @returns {Array<number>} [x, y, lat] with x and y between 0 and 1, y growing southwards like tile rows
+ */
+function projectToUnit([lon, lat]) {
+  const clampedLat = Math.max(-MAX_LATITUDE, Math.min(MAX_LATITUDE, lat));
+  const latRad = clampedLat * Math.PI / 180;
+  return [
+    (lon + 180) / 360,
+    (1 - Math.log(Math.tan(latRad) + 1 / Math.cos(latRad)) / Math.PI) / 2,
+    clampedLat
+  ];
+}
 
-  // Process each zoom level separately, starting from the lowest zoom
-  for (let z = minZoom; z <= maxZoom; z++) {
-    console.log(`Processing zoom level ${z}/${maxZoom} (${Math.round((z - minZoom + 1) / totalZoomLevels * 100)}% complete)...`);
+/**
+ * Get the latitude of a Web Mercator y coordinate
+ * @param {number} y The y coordinate in tile units
+ * @param {number} n The number of tiles per row at the zoom level
+ * @returns {number} The latitude
+ */
+function tileYToLat(y, n) {
+  return Math.atan(Math.sinh(Math.PI * (1 - 2 * y / n))) * 180 / Math.PI;
+}
 
-    // Process each feature separately
-    for (let featureIndex = 0; featureIndex < features.length; featureIndex++) {
-      const feature = features[featureIndex];
-      const featureName = feature.properties?.name || `Feature ${featureIndex + 1}`;
+/**
+ * Make the longitudes of a path continuous across the antimeridian
+ *
+ * A step of more than 180° between two positions is taken to cross the
+ * antimeridian, so [179, 0] → [-179, 0] becomes [179, 0] → [181, 0].
+ * @param {Array<Array<number>>} positions The positions of the path
+ * @param {number|null} referenceLon Longitude the path should start near, e.g. the start of a polygon's outer ring
+ * @returns {Array<Array<number>>} The positions with continuous longitudes
+ */
+function unwrapLongitudes(positions, referenceLon = null) {
+  const unwrapped = [];
+  let offset = 0;
+
+  for (let i = 0; i < positions.length; i++) {
+    const [lon, lat] = positions[i];
+    if (!Number.isFinite(lon) || !Number.isFinite(lat)) {
+      throw new Error(`Invalid GeoJSON position "${positions[i]}", expected [lon, lat] numbers`);
+    }
+
+    if (i === 0) {
+      if (referenceLon !== null) {
+        offset = Math.round((referenceLon - lon) / 360) * 360;
+      }
+    } else {
+      // A step of exactly 360° is an edge spanning the whole world, e.g. along the pole
+      const step = lon + offset - unwrapped[i - 1][0];
+      if (Math.abs(step) > 180 && Math.abs(step) !== 360) {
+        offset -= Math.round(step / 360) * 360;
+      }
+    }
+
+    unwrapped.push([lon + offset, lat]);
+  }
 
-      // Get the bounding box of the feature
-      const featureBbox = turf.bbox(feature);
+  return unwrapped;
+}
 
-      // Calculate the tile range for this feature at this zoom level
-      const topLeft = latLonToTile(featureBbox[3], featureBbox[0], z);
-      const bottomRight = latLonToTile(featureBbox[1], featureBbox[2], z);
+/**
+ * Add the edges of a path to an edge list
+ * @param {Array<Array<number>>} positions The positions of the path
+ * @param {Array|null} fillGroup The rings of the polygon the path belongs to, or null for lines and points
+ * @param {Array<Object>} edges The edge list to add to
+ * @param {number|null} referenceLon Longitude the path should start near, see unwrapLongitudes()
+ * @returns {Array<Array<number>>} The positions with continuous longitudes
+ */
+function addPathEdges(positions, fillGroup, edges, referenceLon = null) {
+  const unwrapped = unwrapLongitudes(positions, referenceLon);
+  const points = unwrapped.map(projectToUnit);
+
+  // A single point covers one tile
+  if (points.length === 1) {
+    const [x, y, lat] = points[0];
+    edges.push({ x0: x, y0: y, lat0: lat, x1: x, y1: y, lat1: lat, fillGroup: null });
+    return unwrapped;
+  }
 
-      // Count potential tiles for this feature
-      const potentialTileCount = (bottomRight.x - topLeft.x + 1) * (bottomRight.y - topLeft.y + 1);
+  // Close unclosed polygon rings
+  const first = points[0];
+  const last = points[points.length - 1];
+  if (fillGroup !== null && (first[0] !== last[0] || first[1] !== last[1])) {
+    points.push(first);
+  }
 
-      // If there are too many potential tiles, skip detailed intersection check
-      // and just use the bounding box tiles for very large areas
-      const skipIntersectionCheck = potentialTileCount > 10000;
+  for (let i = 0; i < points.length - 1; i++) {
+    const [a, b] = points[i][1] <= points[i + 1][1] ? [points[i], points[i + 1]] : [points[i + 1], points[i]];
+    edges.push({ x0: a[0], y0: a[1], lat0: a[2], x1: b[0], y1: b[1], lat1: b[2], fillGroup });
+  }
 
-      console.log(`  Processing feature ${featureIndex + 1}/${totalFeatures}: ${featureName} (${potentialTileCount} potential tiles)`);
+  return unwrapped;
+}
 
-      if (skipIntersectionCheck) {
-        console.log(`  Feature ${featureIndex + 1} has too many potential tiles (${potentialTileCount}), using bounding box approximation`);
+/**
+ * Collect the edges of a GeoJSON geometry
+ *
+ * Every polygon gets its own fill group, so that overlapping polygons do not
+ * cancel each other out when their interiors are filled.
+ * @param {Object} geometry GeoJSON geometry
+ * @param {Array<Object>} edges The edge list to add to
+ */
+function collectGeometryEdges(geometry, edges) {
+  if (!geometry) {
+    return;
+  }
+
+  switch (geometry.type) {
+    case 'Point':
+      addPathEdges([geometry.coordinates], null, edges);
+      break;
+    case 'MultiPoint':
+      geometry.coordinates.forEach(position => addPathEdges([position], null, edges));
+      break;
+    case 'LineString':
+      addPathEdges(geometry.coordinates, null, edges);
+      break;
+    case 'MultiLineString':
+      geometry.coordinates.forEach(line => addPathEdges(line, null, edges));
+      break;
+    case 'Polygon':
+      collectPolygonEdges(geometry.coordinates, edges);
+      break;
+    case 'MultiPolygon':
+      geometry.coordinates.forEach(polygon => collectPolygonEdges(polygon, edges));
+      break;
+    case 'GeometryCollection':
+      geometry.geometries.forEach(member => collectGeometryEdges(member, edges));
+      break;
+    default:
+      throw new Error(`Unsupported GeoJSON geometry type: ${geometry.type}`);
+  }
+}
+
+/**
+ * Add the edges of the rings of one polygon to an edge list
+ * @param {Array<Array<Array<number>>>} rings The polygon rings, outer ring first
+ * @param {Array<Object>} edges The edge list to add to
+ */
+function collectPolygonEdges(rings, edges) {
+  if (rings.length === 0) {
+    return;
+  }
+
+  // The rings array identifies the polygon; holes are kept on the same side of
+  // the antimeridian as the outer ring
+  const outerRing = addPathEdges(rings[0], rings, edges);
+  for (const hole of rings.slice(1)) {
+    addPathEdges(hole, rings, edges, outerRing[0][0]);
+  }
+}
+
+/**
+ * Get the x coordinate of an edge at a y coordinate
+ *
+ * GeoJSON edges are straight lines in longitude/latitude, so the edge is
+ * interpolated by latitude rather than by Web Mercator y.
+ * @param {Object} edge The edge {x0, y0, lat0, x1, y1, lat1, n} in tile units, y0 <= y1
+ * @param {number} y The y coordinate, between y0 and y1
+ * @returns {number} The x coordinate
+ */
+function getEdgeX(edge, y) {
+  if (edge.y1 === edge.y0) {
+    return edge.x0;
+  }
+  if (y === edge.y0) {
+    return edge.x0;
+  }
+  if (y === edge.y1) {
+    return edge.x1;
+  }
+  return edge.x0 + (edge.x1 - edge.x0) * (tileYToLat(y, edge.n) - edge.lat0) / (edge.lat1 - edge.lat0);
+}
+
+/**
+ * Get the tile columns (or rows) touched by a span of tile coordinates
+ * @param {number} from The start of the span
+ * @param {number} to The end of the span
+ * @returns {Array<number>} The first and last column [from, to]
+ */
+function getTileSpan(from, to) {
+  // A span ending exactly on a tile border does not reach into the next tile
+  return [Math.floor(from), to > from ? Math.ceil(to) - 1 : Math.floor(to)];
+}
+
+/**
+ * Wrap a span of tile columns around the antimeridian
+ * @param {Array<number>} span The first and last column [from, to], possibly outside the zoom level
+ * @param {number} n The number of columns at the zoom level
+ * @returns {Array<Array<number>>} One or two spans within the zoom level
+ */
+function wrapTileSpan([from, to], n) {
+  if (to - from + 1 >= n) {
+    return [[0, n - 1]];
+  }
+
+  const start = ((from % n) + n) % n;
+  const end = start + (to - from);
+  return end < n ? [[start, end]] : [[start, n - 1], [0, end - n]];
+}
+
+/**
+ * Enumerate the tiles of one row covered by the active edges
+ *
+ * A tile is covered when an edge passes through it (the boundary), or when the
+ * horizontal line through the middle of the row lies inside a polygon there
+ * (the interior). Tiles that touch a polygon without containing any of its
+ * edges are fully inside it, so they always contain that middle line.
+ * @param {Array<Object>} activeEdges The edges crossing the row
+ * @param {number} row The tile row
+ * @param {number} zoom Zoom level
+ * @yields {Object} Tile objects {x, y, z}, by column
+ */
+function* iterateRowTiles(activeEdges, row, zoom) {
+  const n = Math.pow(2, zoom);
+  const middle = row + 0.5;
+  const spans = [];
+  const crossings = new Map();
+
+  for (const edge of activeEdges) {
+    // Polygon edges lying exactly on a tile border (e.g. the antimeridian) only touch
+    // the tiles beside them; the tiles inside are found through the middle line and
+    // the adjoining edges
+    const onTileBorder = edge.fillGroup !== null && (
+      (edge.x0 === edge.x1 && Number.isInteger(edge.x0)) ||
+      (edge.y0 === edge.y1 && Number.isInteger(edge.y0))
+    );
+
+    // The part of the edge inside the row
+    if (!onTileBorder) {
+      const fromX = getEdgeX(edge, Math.max(row, edge.y0));
+      const toX = edge.y1 === edge.y0 ? edge.x1 : getEdgeX(edge, Math.min(row + 1, edge.y1));
+      spans.push(...wrapTileSpan(getTileSpan(Math.min(fromX, toX), Math.max(fromX, toX)), n));
+    }
+
+    // Even-odd crossings of the middle line, per polygon
+    if (edge.fillGroup !== null && edge.y0 <= middle && middle < edge.y1) {
+      if (!crossings.has(edge.fillGroup)) {
+        crossings.set(edge.fillGroup, []);
+      }
+      crossings.get(edge.fillGroup).push(getEdgeX(edge, middle));
+    }
+  }
+
+  for (const xs of crossings.values()) {
+    xs.sort((a, b) => a - b);
+    for (let i = 0; i + 1 < xs.length; i += 2) {
+      spans.push(...wrapTileSpan(getTileSpan(xs[i], xs[i + 1]), n));
+    }
+  }
+
+  // Merge the spans so that every tile is yielded once
+  spans.sort((a, b) => a[0] - b[0]);
+  let nextColumn = 0;
+  for (const [from, to] of spans) {
+    for (let x = Math.max(from, nextColumn); x <= to; x++) {
+      yield { x, y: row, z: zoom };
+    }
+    nextColumn = Math.max(nextColumn, to + 1);
+  }
+}
+
+/**
+ * Enumerate the tiles covering a set of edges at one zoom level
+ *
+ * The rows are swept from north to south, keeping only the edges that cross the
+ * current row, so the work grows with the outline of the area rather than with
+ * its surface.
+ * @param {Array<Object>} edges The edges in unit Web Mercator coordinates
+ * @param {number} zoom Zoom level
+ * @yields {Object} Tile objects {x, y, z}, by row, then column
+ */
+function* iterateCoverTiles(edges, zoom) {
+  const n = Math.pow(2, zoom);
+  const clampRow = row => Math.max(0, Math.min(n - 1, row));
+
+  // Snap coordinates that only miss a tile border by rounding errors
+  const scale = value => {
+    const scaled = value * n;
+    return Math.abs(scaled - Math.round(scaled)) < 1e-9 ? Math.round(scaled) : scaled;
+  };
+
+  const scaledEdges = edges.map(edge => {
+    const scaled = { ...edge, x0: scale(edge.x0), y0: scale(edge.y0), x1: scale(edge.x1), y1: scale(edge.y1), n };
+    const [startRow, endRow] = getTileSpan(scaled.y0, scaled.y1);
+    scaled.startRow = clampRow(startRow);
+    scaled.endRow = clampRow(endRow);
+    return scaled;
+  }).sort((a, b) => a.startRow - b.startRow);
+
+  let activeEdges = [];
+  let next = 0;
+  let row = 0;
+
+  while (next < scaledEdges.length || activeEdges.length > 0) {
+    // Jump over rows without edges
+    if (activeEdges.length === 0) {
+      row = Math.max(row, scaledEdges[next].startRow);
+    }
+
+    while (next < scaledEdges.length && scaledEdges[next].startRow <= row) {
+      activeEdges.push(scaledEdges[next++]);
+    }
+
+    yield* iterateRowTiles(activeEdges, row, zoom);
+
+    activeEdges = activeEdges.filter(edge => edge.endRow > row);
+    row++;
+  }
+}
+
+/**
+ * Get the buffer distance for a zoom level
+ * @param {number|Object|null} buffer The distance in meters, or an object mapping zoom levels to
+ *   distances, e.g. {"0": 1000, "14": 100}, where each distance applies from its zoom level up
+ * @param {number} zoom Zoom level
+ * @returns {number} The distance in meters, 0 for no buffer
+ */
+function getBufferForZoom(buffer, zoom) {
+  if (!buffer) {
+    return 0;
+  }
+  if (typeof buffer === 'number') {
+    return buffer;
+  }
+
+  let distance = 0;
+  let fromZoom = -1;
+  for (const [key, value] of Object.entries(buffer)) {
+    const level = Number(key);
+    if (level <= zoom && level > fromZoom) {
+      distance = value;
+      fromZoom = level;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Grow features by a buffer distance, turning lines and points into corridors and circles
+ * @param {Array<Object>} features GeoJSON features
+ * @param {number} distance The distance in meters
+ * @returns {Array<Object>} The buffered features
+ */
+function bufferFeatures(features, distance) {
+  if (!distance) {
+    return features;
+  }
+
+  return features
+    .map(feature => turf.buffer(feature, distance, { units: 'meters' }))
+    .filter(Boolean);
+}
+
+/**
+ * Read a zoom level from a feature property
+ * @param {Object} feature GeoJSON feature
+ * @param {string|null} property The property name, or null to not read one
+ * @param {number} defaultZoom The zoom level to use if the property is not set
+ * @returns {number} The zoom level
+ */
+function getFeatureZoom(feature, property, defaultZoom) {
+  const value = property ? feature.properties?.[property] : undefined;
+  if (value === undefined || value === null || value === '') {
+    return defaultZoom;
+  }
+  return Number(value);
+}
+
+/**
+ * Split a GeoJSON object into one area per feature, with the zoom range set in its properties
+ * @param {Object} geojson GeoJSON object
+ * @param {number} minZoom Minimum zoom level of features without a minimum zoom property
+ * @param {number} maxZoom Maximum zoom level of features without a maximum zoom property
+ * @param {Object} options Optional settings {buffer, properties}; properties names the feature
+ *   properties holding the zoom range {minZoom, maxZoom} (default: "minzoom" and "maxzoom", null to ignore)
+ * @returns {Array<Object>} The areas {geojson, minZoom, maxZoom, buffer}, one per feature
+ */
+function getFeatureAreas(geojson, minZoom, maxZoom, options = {}) {
+  const properties = { ...DEFAULT_ZOOM_PROPERTIES, ...options.properties };
+
+  return getFeatures(geojson)
+    .filter(feature => feature.geometry)
+    .map((feature, index) => {
+      const area = {
+        geojson: feature,
+        minZoom: getFeatureZoom(feature, properties.minZoom, minZoom),
+        maxZoom: getFeatureZoom(feature, properties.maxZoom, maxZoom),
+        buffer: options.buffer
+      };
+
+      try {
+        validateZoomRange(area.minZoom, area.maxZoom);
+      } catch (error) {
+        const name = feature.properties?.name || feature.properties?.Name || index + 1;
+        throw new Error(`Feature "${name}": ${error.message}`);
       }
+      return area;
+    });
+}
+
+/**
+ * Enumerate the tiles that cover a GeoJSON object one at a time, without building a list
+ *
+ * The cover is exact at any size: polygons are rasterized row by row in tile
+ * space instead of testing every tile of their bounding box. A tile covered by
+ * several features is yielded once. Features with a zoom range in their
+ * properties (see getFeatureAreas()) are covered at that range instead.
+ * @param {Object} geojson GeoJSON object
+ * @param {number} minZoom Minimum zoom level
+ * @param {number} maxZoom Maximum zoom level
+ * @param {Object} options Optional settings {buffer, properties}; see getBufferForZoom() and getFeatureAreas()
+ * @yields {Object} Tile objects {x, y, z}, by zoom level, then row, then column
+ */
+function* iterateTilesForGeoJSON(geojson, minZoom, maxZoom, options = {}) {
+  yield* iterateTilesForAreas(getFeatureAreas(geojson, minZoom, maxZoom, options));
+}
 
-      // Iterate over all tiles in the feature's bounding box
-      for (let x = topLeft.x; x <= bottomRight.x; x++) {
-        for (let y = topLeft.y; y <= bottomRight.y; y++) {
-          // Create a unique key for this tile
-          const tileKey = `${z}/${x}/${y}`;
-
-          // Skip if we've already processed this tile
-          if (tileSet.has(tileKey)) {
-            continue;
-          }
-
-          // Check if the tile intersects with the feature
-          // Skip the detailed check for very large areas
-          if (skipIntersectionCheck || tileIntersectsFeature(x, y, z, feature)) {
-            // Add the tile to our set and map
-            tileSet.add(tileKey);
-            tileMap.set(tileKey, { x, y, z });
-          }
+/**
+ * Get the features of an area
+ * @param {Object} area The area, with either a bbox or a geojson
+ * @returns {Array<Object>} The GeoJSON features
+ */
+function getAreaFeatures(area) {
+  if (!area.bbox) {
+    return getFeatures(area.geojson).filter(feature => feature.geometry);
+  }
+
+  // A bounding box crossing the antimeridian continues past 180°
+  const [minLon, minLat, maxLon, maxLat] = area.bbox;
+  const eastLon = maxLon < minLon ? maxLon + 360 : maxLon;
+  return [turf.polygon([[[minLon, minLat], [eastLon, minLat], [eastLon, maxLat], [minLon, maxLat], [minLon, minLat]]])];
+}
+
+/**
+ * Enumerate the tiles that cover several areas, each with its own zoom range
+ *
+ * At every zoom level the areas that include it are rasterized together, so
+ * tiles where areas overlap are yielded once.
+ * @param {Array<Object>} areas The areas {bbox, minZoom, maxZoom, buffer} or {geojson, minZoom, maxZoom, buffer};
+ *   buffer is optional, see getBufferForZoom()
+ * @yields {Object} Tile objects {x, y, z}, by zoom level, then row, then column
+ */
+function* iterateTilesForAreas(areas) {
+  if (areas.length === 0) {
+    return;
+  }
+
+  const minZoom = Math.min(...areas.map(area => area.minZoom));
+  const maxZoom = Math.max(...areas.map(area => area.maxZoom));
+  const features = areas.map(getAreaFeatures);
+
+  // The edges of every area, built again only when its buffer distance changes
+  const cache = areas.map(() => ({ buffer: null, edges: null }));
+
+  for (let z = minZoom; z <= maxZoom; z++) {
+    let edges = [];
+
+    areas.forEach((area, index) => {
+      if (z < area.minZoom || z > area.maxZoom) {
+        return;
+      }
+
+      const buffer = getBufferForZoom(area.buffer, z);
+      if (cache[index].edges === null || cache[index].buffer !== buffer) {
+        const areaEdges = [];
+        for (const feature of bufferFeatures(features[index], buffer)) {
+          collectGeometryEdges(feature.geometry, areaEdges);
         }
+        cache[index] = { buffer, edges: areaEdges };
       }
-    }
+
+      edges = edges.concat(cache[index].edges);
+    });
+
+    yield* iterateCoverTiles(edges, z);
   }
+}
 
-  // Convert the map values to an array
-  const tiles = Array.from(tileMap.values());
+/**
+ * Calculate tiles that cover a GeoJSON object
+ * @param {Object} geojson GeoJSON object
+ * @param {number} minZoom Minimum zoom level
+ * @param {number} maxZoom Maximum zoom level
+ * @param {Object} options Optional settings {buffer, properties}; see iterateTilesForGeoJSON()
+ * @returns {Array<Object>} Array of tile objects {x, y, z}
+ */
+function calculateTilesForGeoJSON(geojson, minZoom, maxZoom, options = {}) {
+  const areas = getFeatureAreas(geojson, minZoom, maxZoom, options);
+  const tiles = Array.from(iterateTilesForAreas(areas));
+  const customRanges = areas.filter(area => area.minZoom !== minZoom || area.maxZoom !== maxZoom).length;
 
   // Print summary
   console.log(`\nTile calculation complete:`);
-  console.log(`- Total features processed: ${features.length}`);
+  console.log(`- Total features processed: ${getFeatures(geojson).length}`);
   console.log(`- Zoom levels: ${minZoom} to ${maxZoom}`);
+  if (customRanges > 0) {
+    console.log(`- Features with their own zoom levels: ${customRanges}`);
+  }
   console.log(`- Total unique tiles: ${tiles.length}`);
 
   return tiles;
@@ -200,15 +723,50 @@ class BoundingBoxCalculator {
     return calculateTilesForBoundingBox(boundingBox, minZoom, maxZoom);
   }
 
+  /**
+   * Enumerate the tiles of a bounding box one at a time
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom Minimum zoom level
+   * @param {number} maxZoom Maximum zoom level
+   * @returns {Generator<Object>} Tile objects {x, y, z}
+   */
+  static iterateTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+    return iterateTilesForBoundingBox(boundingBox, minZoom, maxZoom);
+  }
+
+  /**
+   * Count the tiles of a bounding box
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom Minimum zoom level
+   * @param {number} maxZoom Maximum zoom level
+   * @returns {number} The number of tiles
+   */
+  static countTilesForBoundingBox(boundingBox, minZoom, maxZoom) {
+    return countTilesForBoundingBox(boundingBox, minZoom, maxZoom);
+  }
+
   /**
    * Calculate tiles for a GeoJSON object
    * @param {Object} geojson GeoJSON object
    * @param {number} minZoom Minimum zoom level
    * @param {number} maxZoom Maximum zoom level
+   * @param {Object} options Optional settings {buffer, properties}; see iterateTilesForGeoJSON()
    * @returns {Array<Object>} Array of tile objects {x, y, z}
    */
-  static calculateTilesForGeoJSON(geojson, minZoom, maxZoom) {
-    return calculateTilesForGeoJSON(geojson, minZoom, maxZoom);
+  static calculateTilesForGeoJSON(geojson, minZoom, maxZoom, options = {}) {
+    return calculateTilesForGeoJSON(geojson, minZoom, maxZoom, options);
+  }
+
+  /**
+   * Enumerate the tiles of a GeoJSON object one at a time
+   * @param {Object} geojson GeoJSON object
+   * @param {number} minZoom Minimum zoom level
+   * @param {number} maxZoom Maximum zoom level
+   * @param {Object} options Optional settings {buffer, properties}; see iterateTilesForGeoJSON()
+   * @returns {Generator<Object>} Tile objects {x, y, z}
+   */
+  static iterateTilesForGeoJSON(geojson, minZoom, maxZoom, options = {}) {
+    return iterateTilesForGeoJSON(geojson, minZoom, maxZoom, options);
   }
 
   /**
@@ -222,9 +780,19 @@ class BoundingBoxCalculator {
 }
 
 export {
+  MAX_LATITUDE,
   latLonToTile,
   tileToLatLonBounds,
+  validateBoundingBox,
+  validateZoomRange,
+  getTileRanges,
+  iterateTilesForBoundingBox,
+  countTilesForBoundingBox,
   calculateTilesForBoundingBox,
+  getBufferForZoom,
+  getFeatureAreas,
+  iterateTilesForGeoJSON,
+  iterateTilesForAreas,
   calculateTilesForGeoJSON,
   calculateBoundingBox,
   BoundingBoxCalculator
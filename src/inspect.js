@@ -0,0 +1,142 @@
+/**
+ * Cache statistics for the Geo Tile Downloader
+ */
+
+import { tileToLatLonBounds } from './geo.js';
+import { getTileStorage } from './storage.js';
+
+/**
+ * Create the empty statistics of a zoom level or tile map
+ * @param {Object} fields The identifying fields, e.g. {zoom}
+ * @returns {Object} The statistics
+ */
+function createSummary(fields) {
+  return {
+    ...fields,
+    tiles: 0,
+    bytes: 0,
+    oldest: null,
+    newest: null,
+    bbox: null
+  };
+}
+
+/**
+ * Add a tile's size and age to a summary
+ * @param {Object} summary The summary from createSummary()
+ * @param {number} size The tile size in bytes
+ * @param {Date} time The time the tile was fetched
+ */
+function addTile(summary, size, time) {
+  summary.tiles++;
+  summary.bytes += size;
+  if (summary.oldest === null || time < summary.oldest) {
+    summary.oldest = time;
+  }
+  if (summary.newest === null || time > summary.newest) {
+    summary.newest = time;
+  }
+}
+
+/**
+ * Grow a bounding box to include another one
+ * @param {Array<number>|null} bbox [west, south, east, north], or null for none
+ * @param {Array<number>} other [west, south, east, north]
+ * @returns {Array<number>} The combined bounding box
+ */
+function extendBoundingBox(bbox, other) {
+  if (bbox === null) {
+    return [...other];
+  }
+  return [
+    Math.min(bbox[0], other[0]),
+    Math.min(bbox[1], other[1]),
+    Math.max(bbox[2], other[2]),
+    Math.max(bbox[3], other[3])
+  ];
+}
+
+class CacheInspector {
+  /**
+   * Create a new CacheInspector
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Collect statistics of the cached tiles of tile maps
+   *
+   * The cache of each tile map is walked through its TileStorage, so tiles are
+   * found with the same layout that downloads write them with. Tile ages are
+   * read like the downloader reads them (see TileStorage.statTile()), and sizes
+   * count every tile, even deduplicated ones that share their file.
+   * @param {Array<string>} tileMapNames The names of the tile maps (default: all configured tile maps)
+   * @returns {Promise<Array<Object>>} One summary per tile map {tileMapName, folder, layout, tiles, bytes,
+   *   oldest, newest, bbox, levels}; levels holds the same per zoom level {zoom, tiles, bytes, oldest, newest,
+   *   minX, maxX, minY, maxY, bbox}. bbox is the extent of the tiles as [west, south, east, north]; oldest
+   *   and newest are Dates, null without tiles
+   */
+  async inspect(tileMapNames = this.config.TileMaps.map(tileMap => tileMap.Name)) {
+    const summaries = [];
+    for (const tileMapName of tileMapNames) {
+      summaries.push(await this.inspectTileMap(tileMapName));
+    }
+    return summaries;
+  }
+
+  /**
+   * Collect statistics of the cached tiles of one tile map
+   * @param {string} tileMapName The name of the tile map
+   * @returns {Promise<Object>} The summary, see inspect()
+   */
+  async inspectTileMap(tileMapName) {
+    const storage = getTileStorage(this.config, tileMapName);
+    const levels = new Map();
+
+    for await (const tile of storage.walkTiles()) {
+      const tileStat = await storage.statTile(tile.x, tile.y, tile.z);
+      if (!tileStat) {
+        continue;
+      }
+
+      if (!levels.has(tile.z)) {
+        levels.set(tile.z, { ...createSummary({ zoom: tile.z }), minX: tile.x, maxX: tile.x, minY: tile.y, maxY: tile.y });
+      }
+
+      const level = levels.get(tile.z);
+      addTile(level, tileStat.size, tileStat.mtime);
+      level.minX = Math.min(level.minX, tile.x);
+      level.maxX = Math.max(level.maxX, tile.x);
+      level.minY = Math.min(level.minY, tile.y);
+      level.maxY = Math.max(level.maxY, tile.y);
+    }
+
+    const summary = {
+      ...createSummary({ tileMapName, folder: storage.rootFolder, layout: storage.layout.name }),
+      levels: Array.from(levels.values()).sort((a, b) => a.zoom - b.zoom)
+    };
+
+    for (const level of summary.levels) {
+      // The north-west corner of the first tile and the south-east corner of the last one
+      const [west, , , north] = tileToLatLonBounds(level.minX, level.minY, level.zoom);
+      const [, south, east] = tileToLatLonBounds(level.maxX, level.maxY, level.zoom);
+      level.bbox = [west, south, east, north];
+
+      summary.tiles += level.tiles;
+      summary.bytes += level.bytes;
+      if (summary.oldest === null || level.oldest < summary.oldest) {
+        summary.oldest = level.oldest;
+      }
+      if (summary.newest === null || level.newest > summary.newest) {
+        summary.newest = level.newest;
+      }
+      summary.bbox = extendBoundingBox(summary.bbox, level.bbox);
+    }
+
+    return summary;
+  }
+}
+
+export { CacheInspector };
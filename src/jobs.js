@@ -0,0 +1,235 @@
+/**
+ * Download job manifests for the Geo Tile Downloader
+ *
+ * Each download run is recorded in {TileCacheFolder}/.jobs/{jobId}.json with
+ * its tile map, area, zoom range, progress and statistics, so that an
+ * interrupted run can be resumed where it stopped.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { isProcessRunning } from './lock.js';
+
+const JOBS_FOLDER_NAME = '.jobs';
+
+// Minimum time between two progress saves of a running job
+const SAVE_INTERVAL_MS = 2000;
+
+/**
+ * Get the folder holding the job manifests
+ * @param {Object} config The application configuration
+ * @returns {string} The jobs folder path
+ */
+function getJobsFolder(config) {
+  return path.join(config.TileCacheFolder, JOBS_FOLDER_NAME);
+}
+
+/**
+ * Create a new job ID from the current time
+ * @returns {string} The job ID, e.g. "20250513-142501-k3f9"
+ */
+function createJobId() {
+  const timestamp = new Date().toISOString().replace(/[-:]/g, '').replace('T', '-').slice(0, 15);
+  const suffix = Math.random().toString(36).slice(2, 6).padEnd(4, '0');
+  return `${timestamp}-${suffix}`;
+}
+
+class DownloadJob {
+  /**
+   * Create a DownloadJob from a manifest
+   * @param {Object} config The application configuration
+   * @param {Object} manifest The job manifest
+   */
+  constructor(config, manifest) {
+    this.config = config;
+    this.manifest = manifest;
+    this.completedAhead = new Set(manifest.completedAhead || []);
+    this.saveTimer = null;
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Create and save a new job
+   * @param {Object} config The application configuration
+   * @param {Object} spec The job definition {tileMapName, area, minZoom, maxZoom, options}
+   * @returns {Promise<DownloadJob>} The new job
+   */
+  static async create(config, spec) {
+    const now = new Date().toISOString();
+    const job = new DownloadJob(config, {
+      id: createJobId(),
+      ...spec,
+      status: 'running',
+      pid: process.pid,
+      cursor: 0,
+      completedAhead: [],
+      totalTiles: 0,
+      stats: null,
+      createdAt: now,
+      updatedAt: now
+    });
+
+    await job.save();
+    return job;
+  }
+
+  /**
+   * Load a saved job
+   * @param {Object} config The application configuration
+   * @param {string} jobId The job ID
+   * @returns {Promise<DownloadJob>} The job
+   */
+  static async load(config, jobId) {
+    const manifestPath = path.join(getJobsFolder(config), `${jobId}.json`);
+    if (!await fs.pathExists(manifestPath)) {
+      throw new Error(`Job "${jobId}" not found`);
+    }
+
+    return new DownloadJob(config, await fs.readJson(manifestPath));
+  }
+
+  /**
+   * List all saved jobs, newest first
+   * @param {Object} config The application configuration
+   * @returns {Promise<Array<DownloadJob>>} The jobs
+   */
+  static async list(config) {
+    const folder = getJobsFolder(config);
+    if (!await fs.pathExists(folder)) {
+      return [];
+    }
+
+    const jobs = [];
+    for (const file of await fs.readdir(folder)) {
+      if (file.endsWith('.json')) {
+        try {
+          jobs.push(new DownloadJob(config, await fs.readJson(path.join(folder, file))));
+        } catch (error) {
+          console.error(`Failed to read job manifest ${file}: ${error.message}`);
+        }
+      }
+    }
+
+    return jobs.sort((a, b) => b.manifest.createdAt.localeCompare(a.manifest.createdAt));
+  }
+
+  /**
+   * Get the job ID
+   * @returns {string} The job ID
+   */
+  get id() {
+    return this.manifest.id;
+  }
+
+  /**
+   * Get the job status, reporting running jobs whose process is gone as interrupted
+   * @returns {string} The status: running, interrupted, stopped or completed
+   */
+  get status() {
+    if (this.manifest.status === 'running' && !isProcessRunning(this.manifest.pid)) {
+      return 'interrupted';
+    }
+    return this.manifest.status;
+  }
+
+  /**
+   * Get the manifest file path
+   * @returns {string} The manifest path
+   */
+  getManifestPath() {
+    return path.join(getJobsFolder(this.config), `${this.manifest.id}.json`);
+  }
+
+  /**
+   * Mark the job as running in this process, e.g. when it is resumed
+   * @param {number} totalTiles The total number of tiles of the job
+   * @returns {Promise<void>}
+   */
+  async start(totalTiles) {
+    this.manifest.status = 'running';
+    this.manifest.pid = process.pid;
+    this.manifest.totalTiles = totalTiles;
+    delete this.manifest.stopReason;
+    await this.save();
+  }
+
+  /**
+   * Check whether a tile has already been processed
+   * @param {number} index The index of the tile in the job's tile order
+   * @returns {boolean} Whether the tile is done
+   */
+  isDone(index) {
+    return index < this.manifest.cursor || this.completedAhead.has(index);
+  }
+
+  /**
+   * Record a processed tile and schedule a progress save
+   *
+   * The cursor only moves past a tile once every tile before it is done; tiles
+   * finished out of order are remembered until the cursor catches up.
+   * @param {number} index The index of the tile in the job's tile order
+   * @param {Object} stats The current statistics
+   */
+  markDone(index, stats) {
+    this.completedAhead.add(index);
+    while (this.completedAhead.has(this.manifest.cursor)) {
+      this.completedAhead.delete(this.manifest.cursor);
+      this.manifest.cursor++;
+    }
+
+    this.manifest.stats = stats;
+    if (!this.saveTimer) {
+      this.saveTimer = setTimeout(() => {
+        this.saveTimer = null;
+        this.save().catch(error => console.error(`Failed to save job ${this.id}: ${error.message}`));
+      }, SAVE_INTERVAL_MS);
+    }
+  }
+
+  /**
+   * Mark the job as completed
+   * @param {Object} stats The final statistics
+   * @returns {Promise<void>}
+   */
+  async finish(stats) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.manifest.status = 'completed';
+    this.manifest.stats = stats;
+    await this.save();
+  }
+
+  /**
+   * Mark the job as stopped before all its tiles were processed, e.g. when its budget is used up
+   * @param {Object} stats The statistics so far
+   * @param {string} reason Why the job stopped
+   * @returns {Promise<void>}
+   */
+  async stop(stats, reason) {
+    clearTimeout(this.saveTimer);
+    this.saveTimer = null;
+    this.manifest.status = 'stopped';
+    this.manifest.stopReason = reason;
+    this.manifest.stats = stats;
+    await this.save();
+  }
+
+  /**
+   * Write the manifest to disk, replacing the previous one atomically
+   * @returns {Promise<void>}
+   */
+  save() {
+    this.saving = this.saving.catch(() => {}).then(async () => {
+      this.manifest.completedAhead = Array.from(this.completedAhead);
+      this.manifest.updatedAt = new Date().toISOString();
+
+      const manifestPath = this.getManifestPath();
+      await fs.ensureDir(path.dirname(manifestPath));
+      await fs.writeJson(`${manifestPath}.tmp`, this.manifest, { spaces: 2 });
+      await fs.rename(`${manifestPath}.tmp`, manifestPath);
+    });
+    return this.saving;
+  }
+}
+
+export { DownloadJob };
@@ -0,0 +1,162 @@
+/**
+ * Declarative job files for the Geo Tile Downloader
+ *
+ * A job file lists the tile maps to download and the areas to download them
+ * for, each area with its own zoom range:
+ *
+ *   {
+ *     "name": "Province",
+ *     "tileMaps": ["Google_Satellite", "Google_Labels"],
+ *     "areas": [
+ *       { "name": "Province", "geojson": "./province.geojson", "minZoom": 0, "maxZoom": 12 },
+ *       { "name": "City", "geojson": "./city.geojson", "minZoom": 13, "maxZoom": 16, "buffer": 200 },
+ *       { "name": "Downtown", "bbox": [51.38, 35.68, 51.43, 35.71], "minZoom": 17, "maxZoom": 19 }
+ *     ]
+ *   }
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getTileMapByName } from './config.js';
+import { validateBoundingBox, validateZoomRange, iterateTilesForAreas } from './geo.js';
+
+/**
+ * Read a job file, loading the GeoJSON files it refers to
+ *
+ * GeoJSON paths are resolved relative to the job file, and the GeoJSON is kept
+ * in the returned spec so that the job can be resumed without the files.
+ * @param {Object} config The application configuration
+ * @param {string} specPath The job file path
+ * @returns {Promise<Object>} The validated job spec {name, tileMaps, areas}
+ */
+async function loadJobSpec(config, specPath) {
+  if (!await fs.pathExists(specPath)) {
+    throw new Error(`Job file not found: ${specPath}`);
+  }
+
+  let spec;
+  try {
+    spec = JSON.parse(await fs.readFile(specPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid job file ${specPath}: ${error.message}`);
+  }
+
+  const areas = [];
+  for (const area of Array.isArray(spec.areas) ? spec.areas : []) {
+    if (typeof area?.geojson !== 'string') {
+      areas.push(area);
+      continue;
+    }
+
+    const geojsonPath = path.resolve(path.dirname(specPath), area.geojson);
+    try {
+      areas.push({ ...area, geojson: JSON.parse(await fs.readFile(geojsonPath, 'utf8')) });
+    } catch (error) {
+      throw new Error(`Failed to read GeoJSON file ${geojsonPath} of job file ${specPath}: ${error.message}`);
+    }
+  }
+
+  const loaded = {
+    ...spec,
+    name: spec.name || path.basename(specPath, '.json'),
+    areas: Array.isArray(spec.areas) ? areas : spec.areas
+  };
+
+  validateJobSpec(config, loaded);
+  return loaded;
+}
+
+/**
+ * Check that a job spec is valid
+ * @param {Object} config The application configuration
+ * @param {Object} spec The job spec {name, tileMaps, areas}; areas may have their own tileMaps
+ * @throws {Error} If the job spec is not valid
+ */
+function validateJobSpec(config, spec) {
+  if (!Array.isArray(spec.areas) || spec.areas.length === 0) {
+    throw new Error('Invalid job spec: "areas" must be a non-empty list');
+  }
+  if (spec.tileMaps !== undefined && !Array.isArray(spec.tileMaps)) {
+    throw new Error('Invalid job spec: "tileMaps" must be a list of tile map names');
+  }
+
+  spec.areas.forEach((area, index) => {
+    const label = `Invalid job spec: area ${area?.name ? `"${area.name}"` : index + 1}`;
+    try {
+      if (!area || typeof area !== 'object') {
+        throw new Error('expected an object');
+      }
+      if (Boolean(area.bbox) === Boolean(area.geojson)) {
+        throw new Error('set either "bbox" or "geojson"');
+      }
+      if (area.bbox) {
+        validateBoundingBox(area.bbox);
+      }
+      if (area.geojson && typeof area.geojson !== 'object') {
+        throw new Error('"geojson" must be a GeoJSON object (or a file path in a job file)');
+      }
+      validateZoomRange(area.minZoom, area.maxZoom);
+
+      const tileMaps = area.tileMaps || spec.tileMaps;
+      if (!Array.isArray(tileMaps) || tileMaps.length === 0) {
+        throw new Error('no tile maps; set "tileMaps" for the job or the area');
+      }
+      tileMaps.forEach(tileMapName => getTileMapByName(config, tileMapName));
+    } catch (error) {
+      throw new Error(`${label}: ${error.message}`);
+    }
+  });
+}
+
+/**
+ * Get the tile maps of a job spec, in the order they are downloaded
+ * @param {Object} spec The job spec
+ * @returns {Array<string>} The tile map names
+ */
+function getJobSpecTileMaps(spec) {
+  const tileMaps = new Set();
+  for (const area of spec.areas) {
+    for (const tileMapName of area.tileMaps || spec.tileMaps) {
+      tileMaps.add(tileMapName);
+    }
+  }
+  return Array.from(tileMaps);
+}
+
+/**
+ * Get the zoom range covered by a job spec
+ * @param {Object} spec The job spec
+ * @returns {Array<number>} The zoom range [minZoom, maxZoom]
+ */
+function getJobSpecZoomRange(spec) {
+  return [
+    Math.min(...spec.areas.map(area => area.minZoom)),
+    Math.max(...spec.areas.map(area => area.maxZoom))
+  ];
+}
+
+/**
+ * Enumerate the tiles of a job spec one at a time
+ *
+ * Tile maps are downloaded one after the other; within a tile map, tiles where
+ * areas overlap (in space and zoom range) are yielded once.
+ * @param {Object} spec The job spec
+ * @yields {Object} Tile objects {tileMapName, x, y, z}
+ */
+function* iterateJobSpecTiles(spec) {
+  for (const tileMapName of getJobSpecTileMaps(spec)) {
+    const areas = spec.areas.filter(area => (area.tileMaps || spec.tileMaps).includes(tileMapName));
+
+    for (const tile of iterateTilesForAreas(areas)) {
+      yield { tileMapName, ...tile };
+    }
+  }
+}
+
+export {
+  loadJobSpec,
+  validateJobSpec,
+  getJobSpecTileMaps,
+  getJobSpecZoomRange,
+  iterateJobSpecTiles
+};
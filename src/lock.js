@@ -0,0 +1,134 @@
+/**
+ * Cross-process lock of a tile cache folder for the Geo Tile Downloader
+ *
+ * Commands that write to the cache hold {TileCacheFolder}/.lock while they
+ * run, so that two runs on the same cache cannot write the same tiles,
+ * failed download journals or job manifests at the same time.
+ */
+
+import fs from 'fs-extra';
+import os from 'os';
+import path from 'path';
+
+const LOCK_FILE_NAME = '.lock';
+
+// Time a new lock file may take to get its contents before it counts as abandoned
+const LOCK_WRITE_GRACE_MS = 5000;
+
+/**
+ * Check whether a process is still running
+ * @param {number} pid The process ID
+ * @returns {boolean} Whether the process is running
+ */
+function isProcessRunning(pid) {
+  try {
+    process.kill(pid, 0);
+    return true;
+  } catch (error) {
+    return error.code === 'EPERM';
+  }
+}
+
+/**
+ * Get the lock file of a cache folder
+ * @param {string} cacheFolder The tile cache folder
+ * @returns {string} The lock file path
+ */
+function getLockPath(cacheFolder) {
+  return path.join(cacheFolder, LOCK_FILE_NAME);
+}
+
+class CacheLock {
+  /**
+   * Create a CacheLock for a lock file this process holds
+   * @param {string} lockPath The lock file path
+   * @param {Object} owner The lock contents {pid, hostname, command, acquiredAt}
+   */
+  constructor(lockPath, owner) {
+    this.lockPath = lockPath;
+    this.owner = owner;
+    this.released = false;
+    this.onExit = () => this.release();
+  }
+
+  /**
+   * Take the lock of a cache folder
+   *
+   * A lock left behind by a process of this host that is no longer running is
+   * taken over. A lock of a running process, or of another host (whose
+   * processes cannot be checked), fails; remove its lock file by hand if that
+   * process is known to be gone. The lock is released when the process exits.
+   * @param {string} cacheFolder The tile cache folder
+   * @param {string} command The command taking the lock, shown to other runs
+   * @returns {Promise<CacheLock>} The lock
+   */
+  static async acquire(cacheFolder, command) {
+    const lockPath = getLockPath(cacheFolder);
+    const owner = {
+      pid: process.pid,
+      hostname: os.hostname(),
+      command,
+      acquiredAt: new Date().toISOString()
+    };
+
+    await fs.ensureDir(cacheFolder);
+
+    for (;;) {
+      try {
+        await fs.writeFile(lockPath, JSON.stringify(owner, null, 2), { flag: 'wx' });
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') {
+          throw error;
+        }
+      }
+
+      const holder = await fs.readJson(lockPath).catch(() => null);
+      if (holder === null) {
+        // Another run may have just created the lock and not written it yet
+        const lockStat = await fs.stat(lockPath).catch(() => null);
+        if (lockStat && Date.now() - lockStat.mtimeMs < LOCK_WRITE_GRACE_MS) {
+          throw new Error(`The tile cache folder ${cacheFolder} is being locked by another run`);
+        }
+      } else if (holder.hostname !== owner.hostname || isProcessRunning(holder.pid)) {
+        throw new Error(
+          `The tile cache folder ${cacheFolder} is in use by "${holder.command}" (process ${holder.pid} on ${holder.hostname}, ` +
+          `since ${holder.acquiredAt}); wait for it to finish, or delete ${lockPath} if that process is gone`
+        );
+      } else {
+        console.log(`Removing the stale cache lock of process ${holder.pid} ("${holder.command}")`);
+      }
+
+      await fs.remove(lockPath);
+    }
+
+    const lock = new CacheLock(lockPath, owner);
+    process.once('exit', lock.onExit);
+    return lock;
+  }
+
+  /**
+   * Release the lock
+   *
+   * Synchronous, so that it also works while the process exits.
+   */
+  release() {
+    if (this.released) {
+      return;
+    }
+    this.released = true;
+    process.removeListener('exit', this.onExit);
+
+    // Leave the lock alone if another run has taken it over in the meantime
+    try {
+      const holder = fs.readJsonSync(this.lockPath);
+      if (holder.pid === this.owner.pid && holder.acquiredAt === this.owner.acquiredAt) {
+        fs.removeSync(this.lockPath);
+      }
+    } catch (error) {
+      // The lock file is already gone
+    }
+  }
+}
+
+export { CacheLock, getLockPath, isProcessRunning };
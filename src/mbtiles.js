@@ -0,0 +1,238 @@
+/**
+ * MBTiles export for the Geo Tile Downloader
+ */
+
+import * as turf from '@turf/turf';
+import Database from 'better-sqlite3';
+import fs from 'fs-extra';
+import path from 'path';
+import { getTileMapByName } from './config.js';
+import { getTileStorage } from './storage.js';
+import {
+  validateBoundingBox,
+  iterateTilesForBoundingBox,
+  getFeatureAreas,
+  iterateTilesForAreas,
+  calculateBoundingBox,
+  getBufferForZoom
+} from './geo.js';
+
+// Number of tiles read from the cache before they are written in one transaction
+const BATCH_SIZE = 500;
+
+/**
+ * Convert an XYZ row to the TMS row used by MBTiles
+ * @param {number} y The XYZ y coordinate
+ * @param {number} z The zoom level
+ * @returns {number} The TMS row
+ */
+function xyzToTmsRow(y, z) {
+  return Math.pow(2, z) - 1 - y;
+}
+
+/**
+ * Get the MBTiles format name for a tile map format
+ * @param {string} format The tile map format (e.g. "png", "jpeg")
+ * @returns {string} The MBTiles format
+ */
+function getMBTilesFormat(format) {
+  const normalized = format.toLowerCase();
+  return normalized === 'jpeg' ? 'jpg' : normalized;
+}
+
+/**
+ * Get the bounds and center written to the MBTiles metadata
+ *
+ * MBTiles bounds cannot wrap around the antimeridian, so a bounding box
+ * crossing it (minLon > maxLon, or longitudes past ±180° from a GeoJSON
+ * object) is written with the full longitude range. Its center still lies
+ * in the middle of the area, across the antimeridian.
+ * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+ * @param {number} centerZoom The zoom level of the center
+ * @returns {Object} The metadata values {bounds, center}
+ */
+function getMetadataBounds(boundingBox, centerZoom) {
+  const [minLon, minLat, maxLon, maxLat] = boundingBox;
+  const width = minLon > maxLon ? maxLon - minLon + 360 : maxLon - minLon;
+  const centerLon = ((minLon + width / 2 + 540) % 360) - 180;
+  const crossesAntimeridian = minLon > maxLon || minLon < -180 || maxLon > 180;
+
+  const bounds = crossesAntimeridian ? [-180, minLat, 180, maxLat] : [minLon, minLat, maxLon, maxLat];
+  return {
+    bounds: bounds.join(','),
+    center: [centerLon, (minLat + maxLat) / 2, centerZoom].join(',')
+  };
+}
+
+class MBTilesExporter {
+  /**
+   * Create a new MBTilesExporter
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Export the cached tiles of a bounding box to an MBTiles file
+   * @param {string} tileMapName The name of the tile map
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {string} outputPath The MBTiles file to write
+   * @param {Object} options Optional settings {name, description}
+   * @returns {Promise<Object>} Statistics about the export {totalTiles, exportedTiles, missingTiles}
+   */
+  async exportBoundingBox(tileMapName, boundingBox, minZoom, maxZoom, outputPath, options = {}) {
+    validateBoundingBox(boundingBox);
+    const tiles = iterateTilesForBoundingBox(boundingBox, minZoom, maxZoom);
+    return this.exportTiles(tileMapName, tiles, boundingBox, minZoom, maxZoom, outputPath, options);
+  }
+
+  /**
+   * Export the cached tiles of a GeoJSON object to an MBTiles file
+   *
+   * Features with a zoom range in their properties are exported at that range,
+   * and the metadata zoom range covers all features.
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} geojson The GeoJSON object
+   * @param {number} minZoom The minimum zoom level of features without a minimum zoom property
+   * @param {number} maxZoom The maximum zoom level of features without a maximum zoom property
+   * @param {string} outputPath The MBTiles file to write
+   * @param {Object} options Optional settings {name, description, buffer, properties}; see getBufferForZoom()
+   *   and getFeatureAreas()
+   * @returns {Promise<Object>} Statistics about the export {totalTiles, exportedTiles, missingTiles}
+   * @throws {Error} If the GeoJSON has no features with a geometry
+   */
+  async exportGeoJSON(tileMapName, geojson, minZoom, maxZoom, outputPath, options = {}) {
+    const areas = getFeatureAreas(geojson, minZoom, maxZoom, { buffer: options.buffer, properties: options.properties });
+    if (areas.length === 0) {
+      throw new Error('The GeoJSON has no features with a geometry to export');
+    }
+
+    const tiles = iterateTilesForAreas(areas);
+    minZoom = Math.min(...areas.map(area => area.minZoom));
+    maxZoom = Math.max(...areas.map(area => area.maxZoom));
+
+    // The bounds include the widest buffer of the exported zoom levels
+    let buffer = 0;
+    for (let z = minZoom; z <= maxZoom; z++) {
+      buffer = Math.max(buffer, getBufferForZoom(options.buffer, z));
+    }
+    const features = turf.featureCollection(areas.map(area => area.geojson));
+    const boundingBox = calculateBoundingBox(buffer ? turf.buffer(features, buffer, { units: 'meters' }) : features);
+    return this.exportTiles(tileMapName, tiles, boundingBox, minZoom, maxZoom, outputPath, options);
+  }
+
+  /**
+   * Write cached tiles to a new MBTiles file
+   * @param {string} tileMapName The name of the tile map
+   * @param {Iterable<Object>} tiles Tile objects {x, y, z}, e.g. an array or generator
+   * @param {Array<number>} boundingBox The bounds written to the metadata
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {string} outputPath The MBTiles file to write
+   * @param {Object} options Optional settings {name, description}
+   * @returns {Promise<Object>} Statistics about the export {totalTiles, exportedTiles, missingTiles}
+   */
+  async exportTiles(tileMapName, tiles, boundingBox, minZoom, maxZoom, outputPath, options = {}) {
+    const tileMap = getTileMapByName(this.config, tileMapName);
+    const storage = getTileStorage(this.config, tileMapName);
+    const stats = { totalTiles: 0, exportedTiles: 0, missingTiles: 0 };
+
+    // Always start from an empty file
+    await fs.remove(outputPath);
+    await fs.ensureDir(path.dirname(path.resolve(outputPath)));
+
+    const db = new Database(outputPath);
+    try {
+      this.createSchema(db);
+      this.writeMetadata(db, tileMap, boundingBox, minZoom, maxZoom, options);
+
+      const insertTile = db.prepare(
+        'INSERT OR REPLACE INTO tiles (zoom_level, tile_column, tile_row, tile_data) VALUES (?, ?, ?, ?)'
+      );
+      const insertBatch = db.transaction(batch => {
+        for (const { tile, data } of batch) {
+          insertTile.run(tile.z, tile.x, xyzToTmsRow(tile.y, tile.z), data);
+        }
+      });
+
+      let batch = [];
+      for (const tile of tiles) {
+        stats.totalTiles++;
+
+        const data = await storage.readTile(tile.x, tile.y, tile.z);
+        if (data) {
+          batch.push({ tile, data });
+        } else {
+          stats.missingTiles++;
+        }
+
+        if (batch.length === BATCH_SIZE) {
+          insertBatch(batch);
+          stats.exportedTiles += batch.length;
+          batch = [];
+        }
+      }
+
+      insertBatch(batch);
+      stats.exportedTiles += batch.length;
+    } finally {
+      db.close();
+    }
+
+    console.log(`
+Export Statistics:
+- Total Tiles: ${stats.totalTiles}
+- Exported: ${stats.exportedTiles}
+- Missing (Not Cached): ${stats.missingTiles}
+    `);
+
+    return stats;
+  }
+
+  /**
+   * Create the MBTiles tables
+   * @param {Database} db The open database
+   */
+  createSchema(db) {
+    db.exec(`
+      CREATE TABLE metadata (name TEXT, value TEXT);
+      CREATE UNIQUE INDEX metadata_name ON metadata (name);
+      CREATE TABLE tiles (zoom_level INTEGER, tile_column INTEGER, tile_row INTEGER, tile_data BLOB);
+      CREATE UNIQUE INDEX tile_index ON tiles (zoom_level, tile_column, tile_row);
+    `);
+  }
+
+  /**
+   * Fill the MBTiles metadata table
+   * @param {Database} db The open database
+   * @param {Object} tileMap The tile map configuration
+   * @param {Array<number>} boundingBox [minLon, minLat, maxLon, maxLat]; minLon > maxLon crosses the antimeridian
+   * @param {number} minZoom The minimum zoom level
+   * @param {number} maxZoom The maximum zoom level
+   * @param {Object} options Optional settings {name, description}
+   */
+  writeMetadata(db, tileMap, boundingBox, minZoom, maxZoom, options) {
+    const centerZoom = Math.round((minZoom + maxZoom) / 2);
+
+    const metadata = {
+      name: options.name || tileMap.Name,
+      format: getMBTilesFormat(tileMap.Format),
+      ...getMetadataBounds(boundingBox, centerZoom),
+      minzoom: String(minZoom),
+      maxzoom: String(maxZoom),
+      type: 'baselayer',
+      version: '1.0',
+      description: options.description || `${tileMap.Name} tiles exported by Geo Tile Downloader`
+    };
+
+    const insert = db.prepare('INSERT INTO metadata (name, value) VALUES (?, ?)');
+    for (const [name, value] of Object.entries(metadata)) {
+      insert.run(name, value);
+    }
+  }
+}
+
+export { MBTilesExporter, xyzToTmsRow };
@@ -0,0 +1,94 @@
+/**
+ * Tile metadata sidecars for the Geo Tile Downloader
+ *
+ * The HTTP response metadata of a tile is stored next to it as
+ * "{tile file}.meta.json" and used to revalidate the tile when it expires.
+ */
+
+import fs from 'fs-extra';
+import { writeFileAtomic } from './tempfiles.js';
+
+const METADATA_SUFFIX = '.meta.json';
+
+/**
+ * Get the sidecar metadata path of a tile
+ * @param {string} filePath The tile file path
+ * @returns {string} The metadata file path
+ */
+function getMetadataPath(filePath) {
+  return `${filePath}${METADATA_SUFFIX}`;
+}
+
+/**
+ * Check whether a file is a metadata sidecar
+ * @param {string} filePath The file path
+ * @returns {boolean} Whether the file is a metadata sidecar
+ */
+function isMetadataPath(filePath) {
+  return filePath.endsWith(METADATA_SUFFIX);
+}
+
+/**
+ * Read the metadata of a tile
+ * @param {string} filePath The tile file path
+ * @returns {Promise<Object|null>} The metadata, or null if there is none
+ */
+async function readTileMetadata(filePath) {
+  try {
+    return await fs.readJson(getMetadataPath(filePath));
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Build the metadata of a tile from an HTTP response
+ * @param {Object} response The axios response
+ * @param {number} size The tile size in bytes
+ * @returns {Object} The metadata {etag, lastModified, contentType, size, fetchedAt}
+ */
+function createTileMetadata(response, size) {
+  return {
+    etag: response.headers.etag || null,
+    lastModified: response.headers['last-modified'] || null,
+    contentType: response.headers['content-type'] || null,
+    size,
+    fetchedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Write the metadata of a tile, replacing the previous metadata atomically
+ * @param {string} filePath The tile file path
+ * @param {Object} metadata The metadata
+ * @param {string} tempFolder The temp folder of the cache, see TileStorage.tempFolder
+ * @returns {Promise<void>}
+ */
+async function writeTileMetadata(filePath, metadata, tempFolder) {
+  await writeFileAtomic(getMetadataPath(filePath), JSON.stringify(metadata), tempFolder);
+}
+
+/**
+ * Get the conditional request headers for revalidating a tile
+ * @param {Object|null} metadata The stored metadata
+ * @returns {Object} The If-None-Match / If-Modified-Since headers
+ */
+function getRevalidationHeaders(metadata) {
+  const headers = {};
+  if (metadata?.etag) {
+    headers['If-None-Match'] = metadata.etag;
+  }
+  if (metadata?.lastModified) {
+    headers['If-Modified-Since'] = metadata.lastModified;
+  }
+  return headers;
+}
+
+export {
+  getMetadataPath,
+  isMetadataPath,
+  readTileMetadata,
+  createTileMetadata,
+  writeTileMetadata,
+  getRevalidationHeaders
+};
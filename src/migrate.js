@@ -0,0 +1,234 @@
+/**
+ * Cache migration between storage layouts for the Geo Tile Downloader
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getTileStorage } from './storage.js';
+import { getMetadataPath, readTileMetadata } from './metadata.js';
+import { writeFileAtomic, linkFileAtomic } from './tempfiles.js';
+
+class CacheMigrator {
+  /**
+   * Create a new CacheMigrator
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Copy or move the cached tiles of a tile map into another layout or folder
+   *
+   * Every tile found in the source is decoded back into z/x/y and written to the
+   * target together with its metadata sidecar. Files are written through the
+   * target's temp folder, so an interrupted migration never leaves partial tiles,
+   * and with `resume`, tiles that are already in the target with the same size
+   * are left alone, so an interrupted migration can simply be run again. The
+   * caller holds the lock of the target cache folder (see CacheLock).
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} options Migration settings:
+   *   {fromLayout, fromFolder, toLayout, toFolder, move, dryRun, resume}; unset source settings
+   *   default to the configured layout and cache folder, unset target settings to the source ones
+   * @returns {Promise<Object>} Statistics {sourceTiles, migratedTiles, skippedTiles, failedTiles, verifiedTiles}
+   */
+  async migrate(tileMapName, options = {}) {
+    const source = getTileStorage(this.config, tileMapName, {
+      layout: options.fromLayout,
+      cacheFolder: options.fromFolder
+    });
+    const target = getTileStorage(this.config, tileMapName, {
+      layout: options.toLayout || source.layout.name,
+      cacheFolder: options.toFolder || source.cacheFolder
+    });
+
+    const sameFolder = path.resolve(source.rootFolder) === path.resolve(target.rootFolder);
+    const sameCache = path.resolve(source.cacheFolder) === path.resolve(target.cacheFolder);
+    if (sameFolder && source.layout === target.layout) {
+      throw new Error('Source and target of the migration are the same; set a different layout or folder');
+    }
+
+    // The xyz and tms trees use the same paths for different tiles, so they cannot share a folder
+    const layoutNames = [source.layout.name, target.layout.name].sort().join(',');
+    if (sameFolder && layoutNames === 'tms,xyz') {
+      throw new Error('The xyz and tms layouts cannot be migrated within the same folder; set a different target folder');
+    }
+
+    const stats = { sourceTiles: 0, migratedTiles: 0, skippedTiles: 0, failedTiles: 0, verifiedTiles: 0 };
+
+    console.log(`${options.dryRun ? '[Dry run] ' : ''}${options.move ? 'Moving' : 'Copying'} ${tileMapName} tiles`);
+    console.log(`- From: ${source.rootFolder} (${source.layout.name})`);
+    console.log(`- To:   ${target.rootFolder} (${target.layout.name})`);
+
+    // When migrating inside the same folder, list the source first so that
+    // newly written tiles are never picked up as source tiles
+    let tiles = source.walkTiles();
+    if (sameFolder) {
+      const sourceTiles = [];
+      for await (const tile of tiles) {
+        sourceTiles.push(tile);
+      }
+      tiles = sourceTiles;
+    }
+
+    for await (const tile of tiles) {
+      stats.sourceTiles++;
+      const targetPath = target.getTilePath(tile.x, tile.y, tile.z);
+
+      try {
+        const sourceStat = await fs.stat(tile.filePath);
+
+        if (options.resume) {
+          const targetStat = await fs.stat(targetPath).catch(() => null);
+          if (targetStat && targetStat.size === sourceStat.size) {
+            stats.skippedTiles++;
+            stats.verifiedTiles++;
+            if (options.move && !options.dryRun) {
+              await this.removeTile(tile.filePath);
+            }
+            continue;
+          }
+        }
+
+        if (options.dryRun) {
+          stats.migratedTiles++;
+          continue;
+        }
+
+        // A deduplicated tile shares its modification time with identical tiles, so
+        // its own age comes from its metadata
+        const metadata = await readTileMetadata(tile.filePath);
+        const tileAge = metadata?.fetchedAt ? new Date(metadata.fetchedAt) : sourceStat.mtime;
+
+        // A deduplicated tile copied within its cache stays a link to the content store
+        const mode = options.move ? 'move' : sameCache && sourceStat.nlink > 1 ? 'link' : 'copy';
+        await this.transferFile(tile.filePath, targetPath, target.tempFolder, mode);
+        const sourceMetadataPath = getMetadataPath(tile.filePath);
+        if (await fs.pathExists(sourceMetadataPath)) {
+          await this.transferFile(sourceMetadataPath, getMetadataPath(targetPath), target.tempFolder, options.move ? 'move' : 'copy');
+        }
+        await this.setTileAge(targetPath, tileAge);
+        stats.migratedTiles++;
+
+        // Verify the tile arrived intact
+        const targetStat = await fs.stat(targetPath);
+        if (targetStat.size === sourceStat.size) {
+          stats.verifiedTiles++;
+        } else {
+          console.error(`Size mismatch after migrating tile ${tile.z}/${tile.x}/${tile.y}: ${targetPath}`);
+        }
+      } catch (error) {
+        console.error(`Failed to migrate tile ${tile.z}/${tile.x}/${tile.y}: ${error.message}`);
+        stats.failedTiles++;
+      }
+    }
+
+    if (options.move && !options.dryRun) {
+      await this.removeEmptyFolders(source.rootFolder);
+    }
+
+    const expected = stats.sourceTiles - stats.failedTiles;
+    console.log(`
+${options.dryRun ? 'Dry Run' : 'Migration'} Statistics:
+- Source Tiles: ${stats.sourceTiles}
+- ${options.dryRun ? 'To Migrate' : 'Migrated'}: ${stats.migratedTiles}
+- Skipped (Already Migrated): ${stats.skippedTiles}
+- Failed: ${stats.failedTiles}${options.dryRun ? '' : `
+- Verified: ${stats.verifiedTiles}/${expected}`}
+    `);
+
+    if (!options.dryRun && stats.verifiedTiles !== expected) {
+      console.error(`Verification failed: ${expected - stats.verifiedTiles} tiles did not arrive intact`);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Copy, link or move a single file without ever leaving a partial target file
+   *
+   * A move is a rename, or an atomic copy followed by removing the source when
+   * the target is on another file system.
+   * @param {string} sourcePath The source file
+   * @param {string} targetPath The target file
+   * @param {string} tempFolder The temp folder of the target cache
+   * @param {string} mode "copy", "link" (a hard link to the source) or "move"
+   * @returns {Promise<void>}
+   */
+  async transferFile(sourcePath, targetPath, tempFolder, mode) {
+    if (mode === 'link') {
+      await linkFileAtomic(sourcePath, targetPath, tempFolder);
+      return;
+    }
+
+    if (mode === 'move') {
+      await fs.ensureDir(path.dirname(targetPath));
+      try {
+        await fs.rename(sourcePath, targetPath);
+        return;
+      } catch (error) {
+        if (error.code !== 'EXDEV') {
+          throw error;
+        }
+      }
+    }
+
+    await writeFileAtomic(targetPath, await fs.readFile(sourcePath), tempFolder);
+    if (mode === 'move') {
+      await fs.remove(sourcePath);
+    }
+  }
+
+  /**
+   * Set the modification time of a migrated tile to its age
+   *
+   * A tile that is still a link to the content store (e.g. after a move within
+   * one file system) is left alone, since its time is shared.
+   * @param {string} filePath The tile file
+   * @param {Date} tileAge The time the tile was fetched
+   * @returns {Promise<void>}
+   */
+  async setTileAge(filePath, tileAge) {
+    const tileStat = await fs.stat(filePath);
+    if (tileStat.nlink <= 1) {
+      await fs.utimes(filePath, tileAge, tileAge);
+    }
+  }
+
+  /**
+   * Remove a source tile and its metadata sidecar
+   * @param {string} filePath The tile file
+   * @returns {Promise<void>}
+   */
+  async removeTile(filePath) {
+    await fs.remove(filePath);
+    await fs.remove(getMetadataPath(filePath));
+  }
+
+  /**
+   * Remove the empty folders left behind by a move
+   * @param {string} folder The folder to clean up
+   * @returns {Promise<boolean>} Whether the folder itself was removed
+   */
+  async removeEmptyFolders(folder) {
+    if (!await fs.pathExists(folder)) {
+      return true;
+    }
+
+    const entries = await fs.readdir(folder, { withFileTypes: true });
+    let remaining = entries.length;
+    for (const entry of entries) {
+      if (entry.isDirectory() && await this.removeEmptyFolders(path.join(folder, entry.name))) {
+        remaining--;
+      }
+    }
+
+    if (remaining === 0) {
+      await fs.remove(folder);
+      return true;
+    }
+    return false;
+  }
+}
+
+export { CacheMigrator };
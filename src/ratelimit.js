@@ -0,0 +1,137 @@
+/**
+ * Request rate and bandwidth limiting for the Geo Tile Downloader
+ *
+ * Requests are limited per host: all subdomains a tile map URL can expand to
+ * ({s}.tile.openstreetmap.org) share one limit, as do tile maps on the same host.
+ */
+
+/**
+ * Get the host a tile map URL template is rate limited under
+ * @param {string} urlTemplate The tile map URL template
+ * @returns {string} The host, without the {s} subdomain placeholder
+ */
+function getRateLimitHost(urlTemplate) {
+  const match = urlTemplate.match(/^[a-z][a-z0-9+.-]*:\/\/([^/?#]+)/i);
+  const host = match ? match[1] : urlTemplate;
+  return host.replace(/\{s\}\.?/, '').toLowerCase();
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms The delay in milliseconds
+ * @returns {Promise<void>}
+ */
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+class RateLimiter {
+  /**
+   * Create a new RateLimiter
+   */
+  constructor() {
+    // Request timestamps of the last minute, per host
+    this.requestTimes = new Map();
+
+    // Promise chain per host, so that waiting requests are admitted one at a time
+    this.queues = new Map();
+
+    // Time at which the bandwidth used so far has been paid off
+    this.bandwidthAvailableAt = 0;
+  }
+
+  /**
+   * Wait until a request to a host is allowed
+   * @param {string} host The host from getRateLimitHost()
+   * @param {Object} limits The limits {MaxRequestsPerSecond, MaxRequestsPerMinute}; unset limits are not enforced
+   * @returns {Promise<void>}
+   */
+  acquire(host, limits) {
+    if (!limits.MaxRequestsPerSecond && !limits.MaxRequestsPerMinute) {
+      return Promise.resolve();
+    }
+
+    const previous = this.queues.get(host) || Promise.resolve();
+    const slot = previous.then(() => this.waitForSlot(host, limits));
+    this.queues.set(host, slot);
+    return slot;
+  }
+
+  /**
+   * Wait until the request windows of a host have room for one more request
+   * @param {string} host The host
+   * @param {Object} limits The limits {MaxRequestsPerSecond, MaxRequestsPerMinute}
+   * @returns {Promise<void>}
+   */
+  async waitForSlot(host, limits) {
+    if (!this.requestTimes.has(host)) {
+      this.requestTimes.set(host, []);
+    }
+    const times = this.requestTimes.get(host);
+
+    for (;;) {
+      const now = Date.now();
+
+      // Forget requests older than the longest window
+      while (times.length > 0 && times[0] <= now - 60000) {
+        times.shift();
+      }
+
+      const wait = Math.max(
+        this.getWindowWait(times, now, 1000, limits.MaxRequestsPerSecond),
+        this.getWindowWait(times, now, 60000, limits.MaxRequestsPerMinute)
+      );
+
+      if (wait <= 0) {
+        times.push(now);
+        return;
+      }
+
+      await sleep(wait);
+    }
+  }
+
+  /**
+   * Get how long to wait before a sliding window has room for one more request
+   * @param {Array<number>} times The request timestamps, oldest first
+   * @param {number} now The current time
+   * @param {number} windowMs The window length in milliseconds
+   * @param {number} limit The maximum number of requests in the window, if any
+   * @returns {number} The wait in milliseconds, 0 or less if a request is allowed now
+   */
+  getWindowWait(times, now, windowMs, limit) {
+    if (!limit) {
+      return 0;
+    }
+
+    const inWindow = times.filter(time => time > now - windowMs);
+    if (inWindow.length < limit) {
+      return 0;
+    }
+
+    // Wait until enough of the oldest requests have left the window
+    return inWindow[inWindow.length - limit] + windowMs - now;
+  }
+
+  /**
+   * Account for downloaded bytes and wait while the global bandwidth cap is exceeded
+   * @param {number} bytes The number of bytes downloaded
+   * @param {number} maxBytesPerSecond The bandwidth cap, if any
+   * @returns {Promise<void>}
+   */
+  async consumeBandwidth(bytes, maxBytesPerSecond) {
+    if (!maxBytesPerSecond) {
+      return;
+    }
+
+    const now = Date.now();
+    this.bandwidthAvailableAt = Math.max(now, this.bandwidthAvailableAt) + (bytes / maxBytesPerSecond) * 1000;
+
+    const wait = this.bandwidthAvailableAt - now;
+    if (wait > 0) {
+      await sleep(wait);
+    }
+  }
+}
+
+export { RateLimiter, getRateLimitHost, sleep };
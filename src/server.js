@@ -0,0 +1,322 @@
+/**
+ * XYZ tile server for the Geo Tile Downloader
+ *
+ * Serves the tile cache as /{tilemap}/{z}/{x}/{y}.{format} and lists the
+ * configured tile maps at /tilemaps. The proxy variant downloads tiles that
+ * are missing from the cache before serving them.
+ */
+
+import http from 'http';
+import fs from 'fs-extra';
+import { getTileMapByName, getTileMapMaxAge } from './config.js';
+import { TileDownloader } from './downloader.js';
+import { validateZoomRange } from './geo.js';
+import { readTileMetadata } from './metadata.js';
+
+// Cache lifetime sent to clients for tile maps without a TimeSpan (1 day)
+const DEFAULT_MAX_AGE_SECONDS = 24 * 60 * 60;
+
+const CONTENT_TYPES = {
+  png: 'image/png',
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  webp: 'image/webp',
+  gif: 'image/gif',
+  pbf: 'application/x-protobuf',
+  mvt: 'application/vnd.mapbox-vector-tile'
+};
+
+const TILE_ROUTE = /^\/([^/]+)\/(\d+)\/(\d+)\/(\d+)(?:\.([a-zA-Z0-9]+))?$/;
+
+/**
+ * Get the Content-Type of a tile format
+ * @param {string} format The tile format
+ * @returns {string} The Content-Type
+ */
+function getContentType(format) {
+  return CONTENT_TYPES[format.toLowerCase()] || 'application/octet-stream';
+}
+
+class TileServer {
+  /**
+   * Create a new TileServer
+   * @param {Object} config The application configuration
+   * @param {TileDownloader} downloader Optional downloader used to resolve tile paths
+   */
+  constructor(config, downloader = new TileDownloader(config)) {
+    this.config = config;
+    this.downloader = downloader;
+    this.server = http.createServer((req, res) => {
+      this.handleRequest(req, res).catch(error => {
+        console.error(`Failed to handle ${req.method} ${req.url}: ${error.message}`);
+        if (!res.headersSent) {
+          const status = error.statusCode || 500;
+          this.sendJson(res, status, { error: error.statusCode ? error.message : 'Internal server error' });
+        } else {
+          res.destroy();
+        }
+      });
+    });
+  }
+
+  /**
+   * Start listening for requests
+   * @param {number} port The port to listen on
+   * @param {string} host The host to bind to
+   * @returns {Promise<void>}
+   */
+  listen(port, host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+  }
+
+  /**
+   * Stop the server
+   * @returns {Promise<void>}
+   */
+  close() {
+    return new Promise((resolve, reject) => {
+      this.server.close(error => (error ? reject(error) : resolve()));
+    });
+  }
+
+  /**
+   * Handle an HTTP request
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   * @returns {Promise<void>}
+   */
+  async handleRequest(req, res) {
+    res.setHeader('Access-Control-Allow-Origin', '*');
+
+    if (req.method === 'OPTIONS') {
+      res.writeHead(204, {
+        'Access-Control-Allow-Methods': 'GET, HEAD, OPTIONS',
+        'Access-Control-Allow-Headers': 'If-None-Match, If-Modified-Since',
+        'Access-Control-Max-Age': '86400'
+      });
+      res.end();
+      return;
+    }
+
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      this.sendJson(res, 405, { error: 'Method not allowed' });
+      return;
+    }
+
+    let pathname;
+    try {
+      pathname = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (error) {
+      if (!(error instanceof URIError)) {
+        throw error;
+      }
+      this.sendJson(res, 400, { error: 'Malformed URL' });
+      return;
+    }
+
+    if (pathname === '/tilemaps') {
+      this.sendJson(res, 200, this.listTileMaps());
+      return;
+    }
+
+    const match = pathname.match(TILE_ROUTE);
+    if (!match) {
+      this.sendJson(res, 404, { error: 'Not found' });
+      return;
+    }
+
+    const [, tileMapName, z, x, y, format] = match;
+    await this.serveTile(req, res, tileMapName, Number(x), Number(y), Number(z), format);
+  }
+
+  /**
+   * List the configured tile maps
+   * @returns {Array<Object>} The tile maps {name, format, tiles}
+   */
+  listTileMaps() {
+    return this.config.TileMaps.map(tileMap => ({
+      name: tileMap.Name,
+      format: tileMap.Format,
+      tiles: `/${encodeURIComponent(tileMap.Name)}/{z}/{x}/{y}.${tileMap.Format}`
+    }));
+  }
+
+  /**
+   * Get a tile from the cache
+   * @param {Object} tileMap The tile map configuration
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<string|null>} The tile file path, or null if it is not cached
+   */
+  async getTile(tileMap, x, y, z) {
+    const storage = this.downloader.getStorage(tileMap.Name);
+    return await storage.hasTile(x, y, z) ? storage.getTilePath(x, y, z) : null;
+  }
+
+  /**
+   * Serve a single tile
+   * @param {http.IncomingMessage} req The request
+   * @param {http.ServerResponse} res The response
+   * @param {string} tileMapName The name of the tile map
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @param {string} format The requested format (file extension), if any
+   * @returns {Promise<void>}
+   */
+  async serveTile(req, res, tileMapName, x, y, z, format) {
+    let tileMap;
+    try {
+      tileMap = getTileMapByName(this.config, tileMapName);
+    } catch (error) {
+      this.sendJson(res, 404, { error: error.message });
+      return;
+    }
+
+    // Zoom levels the downloader does not support are never cached or proxied
+    try {
+      validateZoomRange(z, z);
+    } catch (error) {
+      this.sendJson(res, 404, { error: 'Tile not found' });
+      return;
+    }
+
+    const maxCoordinate = Math.pow(2, z);
+    const formatMatches = !format || format.toLowerCase() === tileMap.Format.toLowerCase();
+    if (!formatMatches || x >= maxCoordinate || y >= maxCoordinate) {
+      this.sendJson(res, 404, { error: 'Tile not found' });
+      return;
+    }
+
+    const filePath = await this.getTile(tileMap, x, y, z);
+    if (!filePath) {
+      this.sendJson(res, 404, { error: 'Tile not found' });
+      return;
+    }
+
+    const tileStat = await this.downloader.getStorage(tileMap.Name).statTile(x, y, z);
+    if (!tileStat) {
+      this.sendJson(res, 404, { error: 'Tile not found' });
+      return;
+    }
+
+    const metadata = await readTileMetadata(filePath);
+    const etag = metadata?.etag || `"${tileStat.size.toString(16)}-${Math.floor(tileStat.mtimeMs).toString(16)}"`;
+    const maxAge = getTileMapMaxAge(tileMap);
+
+    const headers = {
+      'Content-Type': getContentType(tileMap.Format),
+      'Cache-Control': `public, max-age=${maxAge !== null ? Math.floor(maxAge / 1000) : DEFAULT_MAX_AGE_SECONDS}`,
+      'Last-Modified': tileStat.mtime.toUTCString(),
+      'ETag': etag
+    };
+
+    // Answer conditional requests without sending the tile again
+    const ifNoneMatch = req.headers['if-none-match'];
+    const ifModifiedSince = req.headers['if-modified-since'];
+    const notModified = ifNoneMatch
+      ? ifNoneMatch.split(',').map(value => value.trim()).includes(etag)
+      : ifModifiedSince && Math.floor(tileStat.mtimeMs / 1000) <= Math.floor(Date.parse(ifModifiedSince) / 1000);
+
+    if (notModified) {
+      res.writeHead(304, headers);
+      res.end();
+      return;
+    }
+
+    if (req.method === 'HEAD') {
+      res.writeHead(200, { ...headers, 'Content-Length': tileStat.size });
+      res.end();
+      return;
+    }
+
+    // The tile can be removed after the stat, e.g. by verify-cache or a move,
+    // so the file is opened before the headers are sent
+    const stream = fs.createReadStream(filePath);
+    stream.on('error', error => {
+      console.error(`Failed to read tile ${filePath}: ${error.message}`);
+      if (!res.headersSent) {
+        this.sendJson(res, 404, { error: 'Tile not found' });
+      } else {
+        res.destroy();
+      }
+    });
+    stream.once('open', () => {
+      res.writeHead(200, { ...headers, 'Content-Length': tileStat.size });
+      stream.pipe(res);
+    });
+  }
+
+  /**
+   * Send a JSON response
+   * @param {http.ServerResponse} res The response
+   * @param {number} status The HTTP status
+   * @param {Object} body The response body
+   */
+  sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body));
+  }
+}
+
+class TileProxyServer extends TileServer {
+  /**
+   * Create a new TileProxyServer
+   *
+   * Missing tiles are downloaded through the downloader's queue, so the
+   * configured concurrency also applies to proxied requests.
+   * @param {Object} config The application configuration
+   * @param {TileDownloader} downloader Optional downloader used to fetch and store tiles
+   */
+  constructor(config, downloader = new TileDownloader(config)) {
+    super(config, downloader);
+
+    // Downloads in flight, keyed by tile, shared by concurrent requests for the same tile
+    this.pendingDownloads = new Map();
+  }
+
+  /**
+   * Get a tile from the cache, downloading it first if it is missing
+   * @param {Object} tileMap The tile map configuration
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<string>} The tile file path
+   */
+  async getTile(tileMap, x, y, z) {
+    const cachedPath = await super.getTile(tileMap, x, y, z);
+    if (cachedPath) {
+      return cachedPath;
+    }
+
+    const tileKey = `${tileMap.Name}/${z}/${x}/${y}`;
+    if (!this.pendingDownloads.has(tileKey)) {
+      // Tiles a client asks for are not journaled for retry-failed: a proxy serving
+      // areas the upstream does not cover would grow the journal on every request
+      const download = this.downloader.queue
+        .add(() => this.downloader.downloadTileWithResult(tileMap.Name, x, y, z, { journal: false }))
+        .finally(() => this.pendingDownloads.delete(tileKey));
+      this.pendingDownloads.set(tileKey, download);
+    }
+
+    const { success, errorClass } = await this.pendingDownloads.get(tileKey);
+    const filePath = success ? await super.getTile(tileMap, x, y, z) : null;
+    if (!filePath) {
+      // A tile the upstream does not have is missing here too; anything else is an upstream failure
+      const error = new Error(`Failed to download tile (${tileMap.Name}, ${z}/${x}/${y})`);
+      error.statusCode = errorClass === 'not-found' ? 404 : 502;
+      throw error;
+    }
+
+    return filePath;
+  }
+}
+
+export { TileServer, TileProxyServer, getContentType };
@@ -0,0 +1,436 @@
+/**
+ * Tile cache storage for the Geo Tile Downloader
+ *
+ * A layout maps z/x/y to a path inside a tile map's cache folder and back.
+ * The layout is chosen with the "Layout" setting of a tile map, falling back
+ * to the global "Layout" setting and then to the legacy quadkey tree.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { getTileMapByName } from './config.js';
+import { getTempFolder, writeFileAtomic } from './tempfiles.js';
+import { writeBlobTile } from './blobs.js';
+import { readTileMetadata } from './metadata.js';
+
+const DEFAULT_LAYOUT = 'legacy';
+
+/**
+ * Get the Microsoft VE tile string (quadkey) of a tile
+ * @param {number} level The zoom level
+ * @param {number} xIndex The x coordinate
+ * @param {number} yIndex The y coordinate
+ * @returns {string} The Microsoft VE tile string, "_" for level 0
+ */
+function getMicrosoftVETile(level, xIndex, yIndex) {
+  if (level === 0) {
+    return "_";
+  }
+
+  let builder = "";
+  let xInd = xIndex;
+  let yInd = yIndex;
+
+  for (let i = 1; i <= level; i++) {
+    let c = 0;
+    if (xInd % 2 === 1) {
+      c++;
+    }
+    if (yInd % 2 === 1) {
+      c += 2;
+    }
+
+    xInd = Math.floor(xInd / 2);
+    yInd = Math.floor(yInd / 2);
+
+    // Insert at the beginning of the string
+    builder = c.toString() + builder;
+  }
+
+  return builder;
+}
+
+/**
+ * Decode a Microsoft VE tile string (quadkey) back into tile coordinates
+ * @param {string} quadKey The Microsoft VE tile string, "_" for level 0
+ * @returns {Object|null} Tile coordinates {x, y, z}, or null if the string is not a quadkey
+ */
+function parseMicrosoftVETile(quadKey) {
+  if (quadKey === "_") {
+    return { x: 0, y: 0, z: 0 };
+  }
+
+  if (!/^[0-3]+$/.test(quadKey)) {
+    return null;
+  }
+
+  let x = 0;
+  let y = 0;
+  for (const digit of quadKey) {
+    const c = Number(digit);
+    x = x * 2 + (c & 1);
+    y = y * 2 + (c >> 1);
+  }
+
+  return { x, y, z: quadKey.length };
+}
+
+/**
+ * Create a tile level path based on the Microsoft VE tile algorithm
+ * @param {number} level The zoom level
+ * @param {number} xIndex The x coordinate
+ * @param {number} yIndex The y coordinate
+ * @returns {string} The tile level path
+ */
+function createTileLevelPath(level, xIndex, yIndex) {
+  const tileLevelString = getMicrosoftVETile(level, xIndex, yIndex);
+  if (tileLevelString === "_") {
+    return "";
+  }
+
+  // Create a path with each character as a separate directory
+  let result = "";
+  for (let i = 0; i < tileLevelString.length; i++) {
+    result = path.join(result, tileLevelString.substring(i, i + 1));
+  }
+
+  return result;
+}
+
+/**
+ * Get the output tile name
+ * @param {string} namePrefix The name prefix (tile map name)
+ * @param {number} level The zoom level
+ * @param {number} i The x coordinate
+ * @param {number} j The y coordinate
+ * @returns {string} The output tile name
+ */
+function getOutputTileName(namePrefix, level, i, j) {
+  let fileName = namePrefix;
+
+  // Add level with padding
+  fileName += "_";
+  if (level < 100 && level >= 0) {
+    if (level < 10) {
+      fileName += "0" + level.toString();
+    } else {
+      fileName += level.toString();
+    }
+  } else if (level >= 100) {
+    fileName += "99";
+  } else if (level < 0) {
+    fileName += "00";
+  }
+
+  // Add x coordinate with padding
+  fileName += "_";
+  if (i < 100000000 && i >= 0) {
+    const tmp = i.toString();
+    const padding = "0".repeat(8 - tmp.length);
+    fileName += padding + tmp;
+  } else if (i >= 100000000) {
+    fileName += "99999999";
+  } else if (i < 0) {
+    fileName += "00000000";
+  }
+
+  // Add y coordinate with padding
+  fileName += "_";
+  if (j < 100000000 && j >= 0) {
+    const tmp = j.toString();
+    const padding = "0".repeat(8 - tmp.length);
+    fileName += padding + tmp;
+  } else if (j >= 100000000) {
+    fileName += "99999999";
+  } else if (j < 0) {
+    fileName += "00000000";
+  }
+
+  return fileName;
+}
+
+/**
+ * Split a relative path into its segments, whatever the platform separator
+ * @param {string} relativePath The relative path
+ * @returns {Array<string>} The path segments
+ */
+function splitPath(relativePath) {
+  return relativePath.split(/[\\/]/).filter(segment => segment !== '');
+}
+
+/**
+ * Split a file name into its base name and extension
+ * @param {string} fileName The file name
+ * @returns {Array<string>|null} [baseName, extension], or null for names with no or several extensions
+ */
+function splitExtension(fileName) {
+  const match = fileName.match(/^([^.]+)\.([a-zA-Z0-9]+)$/);
+  return match ? [match[1], match[2]] : null;
+}
+
+/**
+ * The Microsoft VE quadkey directory tree: {quadkey digits as folders}/{Name}_zz_xxxxxxxx_yyyyyyyy.{format}
+ */
+const legacyLayout = {
+  name: 'legacy',
+
+  getRelativePath(tileMapName, x, y, z, format) {
+    const tileLevelPath = createTileLevelPath(z, x, y);
+    const tileFileName = `${getOutputTileName(tileMapName, z, x, y)}.${format}`;
+    return tileLevelPath !== "" ? path.join(tileLevelPath, tileFileName) : tileFileName;
+  },
+
+  parseRelativePath(tileMapName, relativePath) {
+    const segments = splitPath(relativePath);
+    const match = segments[segments.length - 1].match(/_(\d{2})_(\d{8})_(\d{8})\.[a-zA-Z0-9]+$/);
+    if (!match || !segments[segments.length - 1].startsWith(`${tileMapName}_`)) {
+      return null;
+    }
+
+    const [z, x, y] = match.slice(1).map(Number);
+    const folders = segments.slice(0, -1).join('');
+    const expected = z === 0 ? '' : getMicrosoftVETile(z, x, y);
+    return folders === expected ? { x, y, z } : null;
+  }
+};
+
+/**
+ * The standard XYZ tree: {z}/{x}/{y}.{format}
+ */
+const xyzLayout = {
+  name: 'xyz',
+
+  getRelativePath(tileMapName, x, y, z, format) {
+    return path.join(String(z), String(x), `${y}.${format}`);
+  },
+
+  parseRelativePath(tileMapName, relativePath) {
+    const segments = splitPath(relativePath);
+    const file = segments.length === 3 ? splitExtension(segments[2]) : null;
+    if (!file || !/^\d+$/.test(segments[0]) || !/^\d+$/.test(segments[1]) || !/^\d+$/.test(file[0])) {
+      return null;
+    }
+
+    return { x: Number(segments[1]), y: Number(file[0]), z: Number(segments[0]) };
+  }
+};
+
+/**
+ * The TMS tree, with the row counted from the south: {z}/{x}/{2^z - 1 - y}.{format}
+ */
+const tmsLayout = {
+  name: 'tms',
+
+  getRelativePath(tileMapName, x, y, z, format) {
+    return xyzLayout.getRelativePath(tileMapName, x, Math.pow(2, z) - 1 - y, z, format);
+  },
+
+  parseRelativePath(tileMapName, relativePath) {
+    const tile = xyzLayout.parseRelativePath(tileMapName, relativePath);
+    return tile ? { ...tile, y: Math.pow(2, tile.z) - 1 - tile.y } : null;
+  }
+};
+
+/**
+ * Flat quadkey file names: {quadkey}.{format}, "_" for level 0
+ */
+const quadkeyLayout = {
+  name: 'quadkey',
+
+  getRelativePath(tileMapName, x, y, z, format) {
+    return `${getMicrosoftVETile(z, x, y)}.${format}`;
+  },
+
+  parseRelativePath(tileMapName, relativePath) {
+    const segments = splitPath(relativePath);
+    const file = segments.length === 1 ? splitExtension(segments[0]) : null;
+    return file ? parseMicrosoftVETile(file[0]) : null;
+  }
+};
+
+const LAYOUTS = {
+  [legacyLayout.name]: legacyLayout,
+  [xyzLayout.name]: xyzLayout,
+  [tmsLayout.name]: tmsLayout,
+  [quadkeyLayout.name]: quadkeyLayout
+};
+
+/**
+ * Get a cache layout by name
+ * @param {string} name The layout name (legacy, xyz, tms or quadkey)
+ * @returns {Object} The layout
+ */
+function getLayout(name) {
+  const layout = LAYOUTS[(name || DEFAULT_LAYOUT).toLowerCase()];
+  if (!layout) {
+    throw new Error(`Unknown cache layout "${name}" (expected one of: ${Object.keys(LAYOUTS).join(', ')})`);
+  }
+  return layout;
+}
+
+class TileStorage {
+  /**
+   * Create a new TileStorage for one tile map
+   * @param {Object} config The application configuration
+   * @param {Object} tileMap The tile map configuration
+   * @param {Object} options Optional overrides {layout, cacheFolder}
+   */
+  constructor(config, tileMap, options = {}) {
+    this.tileMapName = tileMap.Name;
+    this.format = tileMap.Format;
+    this.layout = getLayout(options.layout || tileMap.Layout || config.Layout);
+    this.cacheFolder = options.cacheFolder || config.TileCacheFolder;
+    this.rootFolder = path.join(this.cacheFolder, this.tileMapName);
+    this.tempFolder = getTempFolder(this.cacheFolder);
+    this.dedup = Boolean(tileMap.Dedup ?? config.Dedup);
+  }
+
+  /**
+   * Get the file path of a tile
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @param {string} format The image format (default: the tile map format)
+   * @returns {string} The file path
+   */
+  getTilePath(x, y, z, format = this.format) {
+    return path.join(this.rootFolder, this.layout.getRelativePath(this.tileMapName, x, y, z, format));
+  }
+
+  /**
+   * Decode a file path of this storage back into tile coordinates
+   * @param {string} filePath The file path
+   * @returns {Object|null} Tile coordinates {x, y, z}, or null if the file is not a tile of this layout
+   */
+  parseTilePath(filePath) {
+    const relativePath = path.relative(this.rootFolder, filePath);
+    if (relativePath.startsWith('..') || path.isAbsolute(relativePath)) {
+      return null;
+    }
+
+    return this.layout.parseRelativePath(this.tileMapName, relativePath);
+  }
+
+  /**
+   * Walk every tile stored in this storage
+   *
+   * Files that are not tiles of this layout (such as metadata sidecars) are ignored.
+   * @returns {AsyncGenerator<Object>} Tiles {x, y, z, filePath}
+   */
+  async *walkTiles() {
+    if (!await fs.pathExists(this.rootFolder)) {
+      return;
+    }
+
+    const folders = [this.rootFolder];
+    while (folders.length > 0) {
+      const folder = folders.pop();
+      const entries = await fs.readdir(folder, { withFileTypes: true });
+      entries.sort((a, b) => a.name.localeCompare(b.name));
+
+      for (const entry of entries) {
+        const entryPath = path.join(folder, entry.name);
+        if (entry.isDirectory()) {
+          folders.push(entryPath);
+        } else if (entry.isFile()) {
+          const tile = this.parseTilePath(entryPath);
+          if (tile) {
+            yield { ...tile, filePath: entryPath };
+          }
+        }
+      }
+    }
+  }
+
+  /**
+   * Get the file stats of a tile
+   *
+   * The age of a tile is the fetch time in its metadata, falling back to the
+   * file's modification time for tiles without one. A deduplicated tile shares
+   * its file, and so its modification time, with identical tiles, and a copy
+   * of it (e.g. by migrate-cache) takes that shared time along, so the file
+   * time alone cannot be trusted.
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<fs.Stats|null>} The stats, or null if the tile is not cached
+   */
+  async statTile(x, y, z) {
+    const filePath = this.getTilePath(x, y, z);
+    const tileStat = await fs.stat(filePath).catch(() => null);
+
+    if (tileStat) {
+      const metadata = await readTileMetadata(filePath);
+      if (metadata?.fetchedAt) {
+        tileStat.mtime = new Date(metadata.fetchedAt);
+        tileStat.mtimeMs = tileStat.mtime.getTime();
+      }
+    }
+    return tileStat;
+  }
+
+  /**
+   * Check whether a tile is cached
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<boolean>} Whether the tile is cached
+   */
+  async hasTile(x, y, z) {
+    return fs.pathExists(this.getTilePath(x, y, z));
+  }
+
+  /**
+   * Read a cached tile
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @returns {Promise<Buffer|null>} The tile data, or null if the tile is not cached
+   */
+  async readTile(x, y, z) {
+    return fs.readFile(this.getTilePath(x, y, z)).catch(() => null);
+  }
+
+  /**
+   * Write a tile to the cache
+   *
+   * The tile is written to a temp file and renamed into place, so readers never
+   * see a partial tile. With the "Dedup" setting, it is stored as a link to its
+   * content in the content store instead.
+   * @param {number} x The x coordinate
+   * @param {number} y The y coordinate
+   * @param {number} z The zoom level
+   * @param {Buffer} data The tile data
+   * @returns {Promise<string>} The file path
+   */
+  async writeTile(x, y, z, data) {
+    const filePath = this.getTilePath(x, y, z);
+    if (this.dedup) {
+      await writeBlobTile(this.cacheFolder, filePath, data, this.tempFolder);
+    } else {
+      await writeFileAtomic(filePath, data, this.tempFolder);
+    }
+    return filePath;
+  }
+}
+
+/**
+ * Get the storage of a tile map
+ * @param {Object} config The application configuration
+ * @param {string} tileMapName The name of the tile map
+ * @param {Object} options Optional overrides {layout, cacheFolder}
+ * @returns {TileStorage} The tile storage
+ */
+function getTileStorage(config, tileMapName, options = {}) {
+  return new TileStorage(config, getTileMapByName(config, tileMapName), options);
+}
+
+export {
+  TileStorage,
+  getTileStorage,
+  getLayout,
+  getMicrosoftVETile,
+  parseMicrosoftVETile,
+  createTileLevelPath,
+  getOutputTileName
+};
@@ -0,0 +1,120 @@
+/**
+ * Atomic cache writes for the Geo Tile Downloader
+ *
+ * Tiles and their metadata are written to {TileCacheFolder}/.tmp first and
+ * then renamed into place, so a run that is killed mid-write never leaves a
+ * partial tile in the cache; at worst it leaves a temp file behind.
+ */
+
+import fs from 'fs-extra';
+import path from 'path';
+import { isProcessRunning } from './lock.js';
+
+const TEMP_FOLDER_NAME = '.tmp';
+
+// Counter making the temp files of one process unique
+let tempFileCounter = 0;
+
+/**
+ * Get the folder holding the temp files of a cache folder
+ * @param {string} cacheFolder The tile cache folder
+ * @returns {string} The temp folder path
+ */
+function getTempFolder(cacheFolder) {
+  return path.join(cacheFolder, TEMP_FOLDER_NAME);
+}
+
+/**
+ * Get a new temp file path for a file
+ *
+ * The temp file is named after the writing process, "{pid}-{n}-{file name}",
+ * so that removeStaleTempFiles() can tell which ones were abandoned.
+ * @param {string} tempFolder The temp folder
+ * @param {string} filePath The file the temp file is for
+ * @returns {string} The temp file path
+ */
+function getTempPath(tempFolder, filePath) {
+  return path.join(tempFolder, `${process.pid}-${++tempFileCounter}-${path.basename(filePath)}`);
+}
+
+/**
+ * Write a file by writing a temp file and renaming it into place
+ * @param {string} filePath The file to write
+ * @param {Buffer|string} data The file contents
+ * @param {string} tempFolder The temp folder, on the same file system as the file
+ * @returns {Promise<void>}
+ */
+async function writeFileAtomic(filePath, data, tempFolder) {
+  const tempPath = getTempPath(tempFolder, filePath);
+  await fs.ensureDir(tempFolder);
+  await fs.ensureDir(path.dirname(filePath));
+
+  try {
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, filePath).catch(error => {
+      // Fall back to copying when the cache spans several file systems
+      if (error.code !== 'EXDEV') {
+        throw error;
+      }
+      return fs.move(tempPath, filePath, { overwrite: true });
+    });
+  } catch (error) {
+    await fs.remove(tempPath).catch(() => {});
+    throw error;
+  }
+}
+
+/**
+ * Replace a file with a hard link to another file
+ *
+ * The link is created in the temp folder and renamed into place, so the file
+ * is never missing or partial.
+ * @param {string} existingPath The file to link to
+ * @param {string} filePath The file to replace
+ * @param {string} tempFolder The temp folder, on the same file system as both files
+ * @returns {Promise<void>}
+ */
+async function linkFileAtomic(existingPath, filePath, tempFolder) {
+  const tempPath = getTempPath(tempFolder, filePath);
+  await fs.ensureDir(tempFolder);
+  await fs.ensureDir(path.dirname(filePath));
+
+  try {
+    await fs.link(existingPath, tempPath);
+    await fs.rename(tempPath, filePath);
+  } finally {
+    // rename() leaves the temp link behind if the file already was a link to the same file
+    await fs.remove(tempPath).catch(() => {});
+  }
+}
+
+/**
+ * Remove the temp files that runs left behind when they were killed
+ *
+ * Only temp files of processes that are no longer running are removed, so a
+ * run that is still writing to the same cache keeps its files.
+ * @param {string} cacheFolder The tile cache folder
+ * @returns {Promise<number>} The number of removed temp files
+ */
+async function removeStaleTempFiles(cacheFolder) {
+  const tempFolder = getTempFolder(cacheFolder);
+  if (!await fs.pathExists(tempFolder)) {
+    return 0;
+  }
+
+  let removed = 0;
+  for (const name of await fs.readdir(tempFolder)) {
+    const pid = parseInt(name);
+    if (pid !== process.pid && !(pid > 0 && isProcessRunning(pid))) {
+      await fs.remove(path.join(tempFolder, name));
+      removed++;
+    }
+  }
+
+  if (removed > 0) {
+    console.log(`Removed ${removed} temp files left behind by interrupted runs`);
+  }
+  return removed;
+}
+
+export { getTempFolder, writeFileAtomic, linkFileAtomic, removeStaleTempFiles };
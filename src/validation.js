@@ -0,0 +1,194 @@
+/**
+ * Tile content validation for the Geo Tile Downloader
+ *
+ * Downloaded tiles are checked before they are written to the cache, so that
+ * HTML error pages, empty responses and "no imagery" placeholder tiles are not
+ * stored as tiles. The same checks audit tiles that are already cached.
+ */
+
+import crypto from 'crypto';
+import zlib from 'zlib';
+
+// File signatures of the image formats that can be recognized
+const IMAGE_SIGNATURES = [
+  { format: 'png', matches: data => data.length >= 8 && data.readUInt32BE(0) === 0x89504e47 && data.readUInt32BE(4) === 0x0d0a1a0a },
+  { format: 'jpeg', matches: data => data.length >= 3 && data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff },
+  { format: 'gif', matches: data => data.length >= 6 && /^GIF8[79]a$/.test(data.toString('latin1', 0, 6)) },
+  { format: 'webp', matches: data => data.length >= 12 && data.toString('latin1', 0, 4) === 'RIFF' && data.toString('latin1', 8, 12) === 'WEBP' }
+];
+
+// Configured formats with the image format their tiles must have
+const FORMAT_ALIASES = {
+  png: 'png',
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+// Content-Types that are never tiles, e.g. error pages
+const NON_TILE_CONTENT_TYPE = /^(text\/|application\/(json|xml|xhtml\+xml|problem\+json)\b)/i;
+
+// CRC-32 lookup table used to check PNG chunks
+const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+  let c = n;
+  for (let k = 0; k < 8; k++) {
+    c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+  }
+  return c >>> 0;
+});
+
+/**
+ * Detect the image format of tile data from its file signature
+ * @param {Buffer} data The tile data
+ * @returns {string|null} The format (png, jpeg, gif or webp), or null if it is not a known image
+ */
+function detectImageFormat(data) {
+  const signature = IMAGE_SIGNATURES.find(({ matches }) => matches(data));
+  return signature ? signature.format : null;
+}
+
+/**
+ * Compute the CRC-32 of a buffer
+ * @param {Buffer} data The data
+ * @returns {number} The CRC-32 as an unsigned integer
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc = CRC_TABLE[(crc ^ byte) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Check the structure of a PNG image: chunk lengths and checksums, the end chunk and the image data stream
+ * @param {Buffer} data The PNG data
+ * @returns {string|null} The problem, or null if the image is intact
+ */
+function checkPngIntegrity(data) {
+  const imageData = [];
+  let offset = 8;
+
+  while (offset + 12 <= data.length) {
+    const length = data.readUInt32BE(offset);
+    const type = data.toString('latin1', offset + 4, offset + 8);
+    if (offset + 12 + length > data.length) {
+      return `truncated in ${type} chunk`;
+    }
+
+    const crc = data.readUInt32BE(offset + 8 + length);
+    if (crc32(data.subarray(offset + 4, offset + 8 + length)) !== crc) {
+      return `bad checksum in ${type} chunk`;
+    }
+
+    if (type === 'IDAT') {
+      imageData.push(data.subarray(offset + 8, offset + 8 + length));
+    } else if (type === 'IEND') {
+      try {
+        zlib.inflateSync(Buffer.concat(imageData));
+      } catch (error) {
+        return `invalid image data: ${error.message}`;
+      }
+      return null;
+    }
+    offset += 12 + length;
+  }
+
+  return 'truncated, no IEND chunk';
+}
+
+/**
+ * Check that a tile image is complete and not damaged
+ *
+ * PNG images are checked chunk by chunk, including their compressed image
+ * data; JPEG, GIF and WebP images are checked for their end marker or size.
+ * @param {Buffer} data The tile data
+ * @returns {string|null} The problem, or null if the image is intact or not a known image format
+ */
+function checkImageIntegrity(data) {
+  switch (detectImageFormat(data)) {
+    case 'png':
+      return checkPngIntegrity(data);
+    case 'jpeg':
+      // Some encoders pad the file after the end of image marker
+      return data.lastIndexOf(Buffer.from([0xff, 0xd9])) > 2 ? null : 'truncated, no end of image marker';
+    case 'gif':
+      return data.lastIndexOf(0x3b) > 12 ? null : 'truncated, no trailer';
+    case 'webp':
+      return data.readUInt32LE(4) + 8 <= data.length ? null : 'truncated, shorter than its RIFF size';
+    default:
+      return null;
+  }
+}
+
+/**
+ * Get the SHA-256 hash of tile data, as used for placeholder tiles
+ * @param {Buffer} data The tile data
+ * @returns {string} The hash as lowercase hex
+ */
+function hashTile(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+/**
+ * Check tile data against the validation settings of its tile map
+ *
+ * Tiles of image formats (png, jpg, gif, webp) must be a complete image (see
+ * checkImageIntegrity()); with StrictFormat, of the configured format. Other
+ * formats, such as vector tiles, are only checked for size, Content-Type and
+ * placeholder hashes.
+ * @param {Buffer} data The tile data
+ * @param {string|null} contentType The Content-Type of the response, if any
+ * @param {Object} tileMap The tile map configuration
+ * @param {Object} settings The validation settings, see getValidationSettings()
+ * @returns {Object|null} The rejection {reason, message}, or null if the tile is valid; reason is one of
+ *   empty, content-type, format, corrupt, too-small, too-large or placeholder
+ */
+function validateTile(data, contentType, tileMap, settings) {
+  if (!settings.Enabled) {
+    return null;
+  }
+
+  if (!data || data.length === 0) {
+    return { reason: 'empty', message: 'empty response' };
+  }
+
+  if (contentType && NON_TILE_CONTENT_TYPE.test(contentType)) {
+    return { reason: 'content-type', message: `unexpected Content-Type "${contentType}"` };
+  }
+
+  const expectedFormat = FORMAT_ALIASES[String(tileMap.Format).toLowerCase()];
+  if (expectedFormat) {
+    const format = detectImageFormat(data);
+    if (!format) {
+      return { reason: 'format', message: `not a ${tileMap.Format} image` };
+    }
+    if (settings.StrictFormat && format !== expectedFormat) {
+      return { reason: 'format', message: `${format} image instead of ${tileMap.Format}` };
+    }
+
+    const problem = checkImageIntegrity(data);
+    if (problem) {
+      return { reason: 'corrupt', message: `damaged ${format} image: ${problem}` };
+    }
+  }
+
+  if (settings.MinBytes && data.length < settings.MinBytes) {
+    return { reason: 'too-small', message: `${data.length} bytes, below the minimum of ${settings.MinBytes}` };
+  }
+  if (settings.MaxBytes && data.length > settings.MaxBytes) {
+    return { reason: 'too-large', message: `${data.length} bytes, above the maximum of ${settings.MaxBytes}` };
+  }
+
+  if (settings.PlaceholderHashes.length > 0) {
+    const hash = hashTile(data);
+    if (settings.PlaceholderHashes.includes(hash)) {
+      return { reason: 'placeholder', message: `known placeholder tile ${hash}` };
+    }
+  }
+
+  return null;
+}
+
+export { detectImageFormat, checkImageIntegrity, hashTile, validateTile };
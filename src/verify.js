@@ -0,0 +1,176 @@
+/**
+ * Cache verification for the Geo Tile Downloader
+ */
+
+import fs from 'fs-extra';
+import { getTileMapByName, getValidationSettings } from './config.js';
+import { appendFailedDownload } from './failures.js';
+import { iterateTilesForBoundingBox, iterateTilesForGeoJSON } from './geo.js';
+import { getMetadataPath, readTileMetadata } from './metadata.js';
+import { getTileStorage } from './storage.js';
+import { validateTile } from './validation.js';
+
+// Error class of the failed download journal entries of requeued tiles
+const INVALID_TILE_ERROR_CLASS = 'invalid-tile';
+
+/**
+ * Sort a validation rejection into a verification category
+ * @param {string} reason The rejection reason from validateTile()
+ * @returns {string} The category: empty, corrupt or suspicious
+ */
+function getProblemCategory(reason) {
+  if (reason === 'empty') {
+    return 'empty';
+  }
+  if (reason === 'format' || reason === 'corrupt' || reason === 'content-type') {
+    return 'corrupt';
+  }
+  return 'suspicious';
+}
+
+class CacheVerifier {
+  /**
+   * Create a new CacheVerifier
+   * @param {Object} config The application configuration
+   */
+  constructor(config) {
+    this.config = config;
+  }
+
+  /**
+   * Check the cached tiles of a tile map and optionally remove the bad ones
+   *
+   * Every tile is read and checked like a downloaded tile (see validateTile()),
+   * with the Content-Type of its metadata sidecar, even if validation of
+   * downloads is turned off. Empty and corrupt tiles (not an image, truncated or
+   * damaged) are always reported; tiles that are too small, too large or known
+   * placeholders are reported as suspicious. With `delete`, empty and corrupt
+   * tiles (and suspicious ones with `includeSuspicious`) are removed; with
+   * `requeue`, they are also added to the failed download journal so that
+   * `retry-failed` downloads them again.
+   * @param {string} tileMapName The name of the tile map
+   * @param {Object} options Optional settings {area, minZoom, maxZoom, delete, requeue, includeSuspicious};
+   *   area is {type: 'bbox', bbox} or {type: 'geojson', geojson, buffer, properties} and needs a zoom range,
+   *   without it the whole cache (within the zoom range, if set) is checked
+   * @returns {Promise<Object>} Statistics {checkedTiles, validTiles, emptyTiles, corruptTiles, suspiciousTiles,
+   *   deletedTiles, queuedTiles}
+   */
+  async verify(tileMapName, options = {}) {
+    const tileMap = getTileMapByName(this.config, tileMapName);
+    const storage = getTileStorage(this.config, tileMapName);
+    const settings = { ...getValidationSettings(this.config, tileMap), Enabled: true };
+    const remove = Boolean(options.delete || options.requeue);
+
+    const stats = {
+      checkedTiles: 0,
+      validTiles: 0,
+      emptyTiles: 0,
+      corruptTiles: 0,
+      suspiciousTiles: 0,
+      deletedTiles: 0,
+      queuedTiles: 0
+    };
+
+    console.log(`Verifying ${tileMapName} tiles in ${storage.rootFolder}`);
+
+    for await (const tile of this.iterateCachedTiles(storage, options)) {
+      stats.checkedTiles++;
+
+      const data = await fs.readFile(tile.filePath).catch(() => null);
+      if (data === null) {
+        continue;
+      }
+
+      const metadata = await readTileMetadata(tile.filePath);
+      const rejection = validateTile(data, metadata?.contentType || null, tileMap, settings);
+      if (!rejection) {
+        stats.validTiles++;
+        continue;
+      }
+
+      const category = getProblemCategory(rejection.reason);
+      stats[`${category}Tiles`]++;
+      console.log(`${category[0].toUpperCase()}${category.slice(1)} tile ${tile.z}/${tile.x}/${tile.y}: ${tile.filePath} (${rejection.message})`);
+
+      if (!remove || (category === 'suspicious' && !options.includeSuspicious)) {
+        continue;
+      }
+
+      await fs.remove(tile.filePath);
+      await fs.remove(getMetadataPath(tile.filePath));
+      stats.deletedTiles++;
+
+      if (options.requeue) {
+        await appendFailedDownload(this.config, {
+          tileMapName,
+          x: tile.x,
+          y: tile.y,
+          z: tile.z,
+          url: null,
+          error: `Cached tile failed verification: ${rejection.message}`,
+          status: null,
+          errorClass: INVALID_TILE_ERROR_CLASS,
+          timestamp: new Date().toISOString()
+        });
+        stats.queuedTiles++;
+      }
+    }
+
+    console.log(`
+Verification Statistics:
+- Checked Tiles: ${stats.checkedTiles}
+- Valid: ${stats.validTiles}
+- Empty: ${stats.emptyTiles}
+- Corrupt: ${stats.corruptTiles}
+- Suspicious: ${stats.suspiciousTiles}
+- Deleted: ${stats.deletedTiles}
+- Queued for Re-download: ${stats.queuedTiles}
+    `);
+
+    if (stats.queuedTiles > 0) {
+      console.log(`Download them again with: node src/cli.js retry-failed --tilemap ${tileMapName} --error-class ${INVALID_TILE_ERROR_CLASS}`);
+    }
+
+    return stats;
+  }
+
+  /**
+   * Enumerate the cached tiles to verify
+   *
+   * With an area, its tiles are looked up in the cache; otherwise the whole
+   * cache of the tile map is walked.
+   * @param {TileStorage} storage The storage of the tile map
+   * @param {Object} options The verification settings {area, minZoom, maxZoom}
+   * @returns {AsyncGenerator<Object>} Cached tiles {x, y, z, filePath}
+   */
+  async *iterateCachedTiles(storage, options) {
+    if (!options.area) {
+      const minZoom = options.minZoom ?? 0;
+      const maxZoom = options.maxZoom ?? Infinity;
+
+      for await (const tile of storage.walkTiles()) {
+        if (tile.z >= minZoom && tile.z <= maxZoom) {
+          yield tile;
+        }
+      }
+      return;
+    }
+
+    const { area } = options;
+    const tiles = area.type === 'bbox'
+      ? iterateTilesForBoundingBox(area.bbox, options.minZoom, options.maxZoom)
+      : iterateTilesForGeoJSON(area.geojson, options.minZoom, options.maxZoom, {
+        buffer: area.buffer,
+        properties: area.properties
+      });
+
+    for (const tile of tiles) {
+      const filePath = storage.getTilePath(tile.x, tile.y, tile.z);
+      if (await fs.pathExists(filePath)) {
+        yield { ...tile, filePath };
+      }
+    }
+  }
+}
+
+export { CacheVerifier };
@@ -0,0 +1,50 @@
+/**
+ * Tests for the configuration helpers
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseTimeSpan, getTileMapMaxAge } from '../src/config.js';
+
+const SECOND = 1000;
+const MINUTE = 60 * SECOND;
+const HOUR = 60 * MINUTE;
+const DAY = 24 * HOUR;
+
+describe('parseTimeSpan', () => {
+  it('reads a bare integer as days', () => {
+    assert.equal(parseTimeSpan('7'), 7 * DAY);
+    assert.equal(parseTimeSpan(' 30 '), 30 * DAY);
+    assert.equal(parseTimeSpan('0'), 0);
+  });
+
+  it('reads .NET TimeSpans with optional days, seconds and fractions', () => {
+    assert.equal(parseTimeSpan('30.00:00:00'), 30 * DAY);
+    assert.equal(parseTimeSpan('01:30'), HOUR + 30 * MINUTE);
+    assert.equal(parseTimeSpan('1.02:03:04'), DAY + 2 * HOUR + 3 * MINUTE + 4 * SECOND);
+    assert.equal(parseTimeSpan('00:00:01.5'), 1500);
+    assert.equal(parseTimeSpan('00:00:00.0000001'), 0);
+  });
+
+  it('rejects malformed TimeSpans', () => {
+    for (const value of ['', 'abc', '1.5', '24:00:00', '00:60:00', '00:00:60', '1:2:3:4', '00:00:00.12345678']) {
+      assert.throws(() => parseTimeSpan(value), { message: `Invalid TimeSpan "${value}"` });
+    }
+  });
+
+  it('rejects negative TimeSpans', () => {
+    for (const value of ['-1', '-00:01:00', '-1.00:00:00']) {
+      assert.throws(() => parseTimeSpan(value), { message: `Invalid TimeSpan "${value}"` });
+    }
+  });
+});
+
+describe('getTileMapMaxAge', () => {
+  it('returns null for tile maps whose tiles never expire', () => {
+    assert.equal(getTileMapMaxAge({ Name: 'OSM_Map' }), null);
+  });
+
+  it('reads the TimeSpan of a tile map', () => {
+    assert.equal(getTileMapMaxAge({ Name: 'OSM_Map', TimeSpan: '7.00:00:00' }), 7 * DAY);
+  });
+});
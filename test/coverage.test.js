@@ -0,0 +1,74 @@
+/**
+ * Tests for cache coverage maps
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { CacheCoverage } from '../src/coverage.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig } from './helpers.js';
+
+const WORLD = { type: 'bbox', bbox: [-180, -80, 180, 80] };
+
+let config = null;
+
+afterEach(async () => {
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  config = null;
+});
+
+/**
+ * Create a configuration with the northern tiles of zoom level 1 cached
+ * @returns {Promise<Object>} The configuration
+ */
+async function createNorthernCache() {
+  config = await createTestConfig();
+  const storage = getTileStorage(config, 'Test');
+  await storage.writeTile(0, 0, 1, createPngTile(1));
+  await storage.writeTile(1, 0, 1, createPngTile(1));
+  return config;
+}
+
+describe('CacheCoverage', () => {
+  it('maps every tile of an area as cached or missing', async () => {
+    await createNorthernCache();
+
+    const coverage = await new CacheCoverage(config).getCoverage('Test', WORLD, 1, 1);
+    assert.deepEqual([coverage.totalTiles, coverage.cachedTiles, coverage.missingTiles], [4, 2, 2]);
+    const tiles = coverage.geojson.features.map(({ properties }) => `${properties.x}/${properties.y} ${properties.status}`);
+    assert.deepEqual(tiles.sort(), ['0/0 cached', '0/1 missing', '1/0 cached', '1/1 missing']);
+
+    const [tile] = coverage.geojson.features.filter(feature => feature.properties.x === 1 && feature.properties.y === 0);
+    assert.equal(tile.geometry.type, 'Polygon');
+    assert.deepEqual(tile.geometry.coordinates[0][0], [0, 0]);
+  });
+
+  it('keeps only the tiles of the requested status', async () => {
+    await createNorthernCache();
+
+    const coverage = await new CacheCoverage(config).getCoverage('Test', WORLD, 1, 1, { status: 'missing' });
+    assert.equal(coverage.cachedTiles, 2);
+    assert.deepEqual(coverage.geojson.features.map(feature => feature.properties.status), ['missing', 'missing']);
+    await assert.rejects(new CacheCoverage(config).getCoverage('Test', WORLD, 1, 1, { status: 'stale' }), /Invalid coverage status "stale"/);
+  });
+
+  it('merges the tiles of each zoom level and status into one feature', async () => {
+    await createNorthernCache();
+
+    const coverage = await new CacheCoverage(config).getCoverage('Test', WORLD, 0, 1, { merge: true });
+    const features = coverage.geojson.features.map(({ geometry, properties }) => [properties.zoom, properties.status, properties.tiles, geometry.type]);
+    assert.deepEqual(features, [
+      [0, 'missing', 1, 'Polygon'],
+      [1, 'cached', 2, 'Polygon'],
+      [1, 'missing', 2, 'Polygon']
+    ]);
+
+    // The two cached tiles are dissolved into one rectangle
+    const [, cached] = coverage.geojson.features;
+    const longitudes = cached.geometry.coordinates[0].map(([lon]) => lon);
+    assert.deepEqual([Math.min(...longitudes), Math.max(...longitudes)], [-180, 180]);
+  });
+});
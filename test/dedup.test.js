@@ -0,0 +1,149 @@
+/**
+ * Tests for deduplicated tile storage and the age of deduplicated tiles
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { CacheDeduplicator } from '../src/dedup.js';
+import { CacheMigrator } from '../src/migrate.js';
+import { TileDownloader } from '../src/downloader.js';
+import { readTileMetadata, writeTileMetadata } from '../src/metadata.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const OLD_TIME = new Date('2020-01-01T00:00:00Z');
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  await fs.remove(config.TestFolder);
+  server = null;
+});
+
+/**
+ * Write a tile with metadata fetched at a given time
+ * @param {TileStorage} storage The storage of the tile map
+ * @param {Array<number>} tile [x, y, z]
+ * @param {Buffer} data The tile data
+ * @param {Date} fetchedAt The fetch time written to the metadata
+ * @returns {Promise<string>} The file path
+ */
+async function writeTile(storage, [x, y, z], data, fetchedAt) {
+  const filePath = await storage.writeTile(x, y, z, data);
+  await writeTileMetadata(filePath, { etag: '"v1"', size: data.length, fetchedAt: fetchedAt.toISOString() }, storage.tempFolder);
+  return filePath;
+}
+
+describe('deduplicated storage', () => {
+  it('stores identical tiles as links to one content', async () => {
+    config = await createTestConfig({ Dedup: true });
+    const storage = getTileStorage(config, 'Test');
+    const first = await storage.writeTile(0, 0, 1, createPngTile(1));
+    const second = await storage.writeTile(1, 0, 1, createPngTile(1));
+    const other = await storage.writeTile(0, 1, 1, createPngTile(2));
+
+    assert.equal((await fs.stat(first)).ino, (await fs.stat(second)).ino);
+    assert.equal((await fs.stat(first)).nlink, 3);
+    assert.equal((await fs.stat(other)).nlink, 2);
+  });
+
+  it('links the identical tiles of an existing cache with dedup-cache', async () => {
+    config = await createTestConfig();
+    const storage = getTileStorage(config, 'Test');
+    for (const x of [0, 1, 2, 3]) {
+      await storage.writeTile(x, 0, 2, createPngTile(x < 3 ? 1 : 2));
+    }
+
+    const stats = await quietly(() => new CacheDeduplicator(config).dedup());
+    assert.equal(stats.checkedTiles, 4);
+    assert.equal(stats.storedTiles, 2);
+    assert.equal(stats.linkedTiles, 2);
+    assert.equal(stats.savedBytes, 2 * createPngTile(1).length);
+    assert.equal(stats.blobs, 2);
+    assert.equal(stats.referencingTiles, 4);
+
+    // Running it again finds everything linked
+    const again = await quietly(() => new CacheDeduplicator(config).dedup());
+    assert.equal(again.alreadyLinkedTiles, 4);
+    assert.equal(again.linkedTiles, 0);
+  });
+
+  it('keeps the age of each tile in its metadata when linking', async () => {
+    config = await createTestConfig();
+    const storage = getTileStorage(config, 'Test');
+    const filePath = await storage.writeTile(0, 0, 1, createPngTile(1));
+    await storage.writeTile(1, 0, 1, createPngTile(1));
+    await fs.utimes(filePath, OLD_TIME, OLD_TIME);
+
+    await quietly(() => new CacheDeduplicator(config).dedup());
+    assert.equal((await readTileMetadata(filePath)).fetchedAt, OLD_TIME.toISOString());
+    assert.equal((await storage.statTile(0, 0, 1)).mtime.getTime(), OLD_TIME.getTime());
+  });
+});
+
+describe('age of deduplicated tiles', () => {
+  it('is read from the metadata, not from the shared file', async () => {
+    config = await createTestConfig({ Dedup: true });
+    const storage = getTileStorage(config, 'Test');
+    const now = new Date();
+    const filePath = await writeTile(storage, [0, 0, 1], createPngTile(1), now);
+    await writeTile(storage, [1, 0, 1], createPngTile(1), OLD_TIME);
+    await fs.utimes(filePath, OLD_TIME, OLD_TIME);
+
+    assert.equal((await storage.statTile(0, 0, 1)).mtimeMs, now.getTime());
+    assert.equal((await storage.statTile(1, 0, 1)).mtimeMs, OLD_TIME.getTime());
+  });
+
+  it('is read from the metadata for a tile that is no longer linked', async () => {
+    config = await createTestConfig();
+    const storage = getTileStorage(config, 'Test');
+    const now = new Date();
+    const filePath = await writeTile(storage, [0, 0, 1], createPngTile(1), now);
+    await fs.utimes(filePath, OLD_TIME, OLD_TIME);
+
+    assert.equal((await fs.stat(filePath)).nlink, 1);
+    assert.equal((await storage.statTile(0, 0, 1)).mtimeMs, now.getTime());
+  });
+
+  it('is reset by a revalidation without touching the tiles sharing its content', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(304, { ETag: '"v1"' });
+      res.end();
+    });
+    config = await createTestConfig({ Dedup: true }, { Url: server.url, TimeSpan: '1.00:00:00' });
+    const storage = getTileStorage(config, 'Test');
+    const revalidated = await writeTile(storage, [0, 0, 1], createPngTile(1), OLD_TIME);
+    await writeTile(storage, [1, 0, 1], createPngTile(1), OLD_TIME);
+    await fs.utimes(revalidated, OLD_TIME, OLD_TIME);
+
+    const downloader = new TileDownloader(config, 1);
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 0, 0, 1)), true);
+    assert.equal(downloader.stats.revalidatedTiles, 1);
+    assert.equal(server.requests[0].headers['if-none-match'], '"v1"');
+
+    assert.ok(Date.now() - (await storage.statTile(0, 0, 1)).mtimeMs < 60000);
+    assert.equal((await storage.statTile(1, 0, 1)).mtimeMs, OLD_TIME.getTime());
+    assert.equal(Math.round((await fs.stat(revalidated)).mtimeMs), OLD_TIME.getTime());
+  });
+
+  it('is kept by a migration copying the tile out of the content store', async () => {
+    config = await createTestConfig({ Dedup: true });
+    const storage = getTileStorage(config, 'Test');
+    const now = new Date();
+    const filePath = await writeTile(storage, [0, 0, 1], createPngTile(1), now);
+    await writeTile(storage, [1, 0, 1], createPngTile(1), now);
+    await fs.utimes(filePath, OLD_TIME, OLD_TIME);
+
+    const toFolder = path.join(config.TestFolder, 'xyz');
+    await quietly(() => new CacheMigrator(config).migrate('Test', { toLayout: 'xyz', toFolder }));
+
+    const target = getTileStorage(config, 'Test', { layout: 'xyz', cacheFolder: toFolder });
+    const targetPath = target.getTilePath(0, 0, 1);
+    assert.equal(Math.round((await fs.stat(targetPath)).mtimeMs), now.getTime());
+    assert.equal((await target.statTile(0, 0, 1)).mtimeMs, now.getTime());
+  });
+});
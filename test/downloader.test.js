@@ -0,0 +1,134 @@
+/**
+ * Tests for the tile downloader
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileDownloader } from '../src/downloader.js';
+import { DownloadJob } from '../src/jobs.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const WORLD = [-180, -80, 180, 80];
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Start a tile server answering every tile with the same PNG
+ * @returns {Promise<Object>} The server, see startTileServer()
+ */
+function startPngServer() {
+  return startTileServer((req, res) => {
+    res.writeHead(200, { 'Content-Type': 'image/png' });
+    res.end(createPngTile(1));
+  });
+}
+
+describe('budgets', () => {
+  it('rejects a job with more tiles than maxTiles before downloading', async () => {
+    server = await startPngServer();
+    config = await createTestConfig({}, { Url: server.url });
+    const downloader = new TileDownloader(config, 1);
+    downloader.setLimits({ maxTiles: 4 });
+
+    await assert.rejects(quietly(() => downloader.downloadTilesForBoundingBox('Test', WORLD, 1, 2)), /over the budget of 4 tiles/);
+    assert.equal(server.requests.length, 0);
+  });
+
+  it('stops a job at maxBytes and resumes it without the budget', async () => {
+    server = await startPngServer();
+    config = await createTestConfig({}, { Url: server.url });
+    const downloader = new TileDownloader(config, 1);
+    downloader.setLimits({ maxBytes: 2 * createPngTile(1).length });
+
+    const stopped = await quietly(() => downloader.downloadTilesForBoundingBox('Test', WORLD, 1, 1));
+    assert.equal(stopped.downloadedTiles, 2);
+    const jobId = downloader.job.id;
+    assert.equal((await DownloadJob.load(config, jobId)).status, 'stopped');
+
+    // A new run without --max-bytes lifts the budget of the stopped run
+    const resumed = await quietly(() => new TileDownloader(config, 1).resumeJob(jobId));
+    assert.equal(resumed.downloadedTiles, 4);
+    assert.equal((await DownloadJob.load(config, jobId)).status, 'completed');
+  });
+
+  it('resumes a stopped job with a new budget', async () => {
+    server = await startPngServer();
+    config = await createTestConfig({}, { Url: server.url });
+    const tileSize = createPngTile(1).length;
+    const downloader = new TileDownloader(config, 1);
+    downloader.setLimits({ maxBytes: tileSize });
+    await quietly(() => downloader.downloadTilesForBoundingBox('Test', WORLD, 1, 1));
+    const jobId = downloader.job.id;
+
+    const resumer = new TileDownloader(config, 1);
+    resumer.setLimits({ maxBytes: 3 * tileSize });
+    const resumed = await quietly(() => resumer.resumeJob(jobId));
+    assert.equal(resumed.downloadedTiles, 3);
+    assert.equal((await DownloadJob.load(config, jobId)).status, 'stopped');
+  });
+});
+
+describe('retries', () => {
+  it('retries server errors and counts each failed tile once by its last error class', async () => {
+    const attempts = {};
+    server = await startTileServer((req, res, tile) => {
+      attempts[tile.x] = (attempts[tile.x] || 0) + 1;
+      if (tile.x === 0 && attempts[tile.x] > 2) {
+        res.writeHead(200, { 'Content-Type': 'image/png' });
+        res.end(createPngTile(1));
+      } else {
+        res.writeHead(tile.x === 2 ? 404 : 503);
+        res.end();
+      }
+    });
+    config = await createTestConfig({ Retry: { MaxRetries: 2, BaseDelay: 1, MaxDelay: 1 } }, { Url: server.url });
+    const downloader = new TileDownloader(config, 1);
+
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 0, 0, 2)), true);
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 1, 0, 2)), false);
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 2, 0, 2)), false);
+
+    assert.deepEqual(attempts, { 0: 3, 1: 3, 2: 1 });
+    const stats = downloader.getStats();
+    assert.equal(stats.retriedRequests, 4);
+    assert.equal(stats.failedTiles, 2);
+    assert.deepEqual(stats.errorCounts, { 'server-error': 1, 'not-found': 1 });
+  });
+});
+
+describe('streaming', () => {
+  it('only takes as many tiles from a generator as the queue has room for', async () => {
+    const pulledAtRequest = [];
+    let pulled = 0;
+    server = await startTileServer((req, res) => {
+      pulledAtRequest.push(pulled);
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+
+    function* tiles() {
+      for (let x = 0; x < 300; x++) {
+        pulled++;
+        yield { x, y: 0, z: 9 };
+      }
+    }
+
+    const downloader = new TileDownloader(config, 1);
+    const stats = await quietly(() => downloader.downloadTiles('Test', tiles()));
+    assert.ok(pulledAtRequest[0] <= 102, `${pulledAtRequest[0]} tiles taken before the first download`);
+    assert.equal(stats.downloadedTiles, 300);
+    assert.equal(stats.totalTiles, 300);
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for download estimates
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileEstimator } from '../src/estimate.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const WORLD = [-180, -80, 180, 80];
+const OLD_TIME = new Date('2020-01-01T00:00:00Z');
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+describe('TileEstimator', () => {
+  it('counts cached, expired and missing tiles and sizes the download from samples', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(Buffer.alloc(1000));
+    });
+    config = await createTestConfig({}, { Url: server.url, TimeSpan: '1' });
+    const storage = getTileStorage(config, 'Test');
+    await storage.writeTile(0, 0, 1, createPngTile(1));
+    const expiredPath = await storage.writeTile(1, 0, 1, createPngTile(1));
+    await fs.utimes(expiredPath, OLD_TIME, OLD_TIME);
+
+    const estimate = await quietly(() => new TileEstimator(config).estimateBoundingBox('Test', WORLD, 1, 1, { samples: 2 }));
+    assert.equal(estimate.totalTiles, 4);
+    assert.equal(estimate.cachedTiles, 2);
+    assert.equal(estimate.expiredTiles, 1);
+    assert.equal(estimate.downloadTiles, 3);
+    assert.equal(estimate.levels[0].sampledTiles, 2);
+    assert.equal(estimate.levels[0].averageTileBytes, 1000);
+    assert.equal(estimate.estimatedBytes, 3000);
+    assert.equal(typeof estimate.estimatedSeconds, 'number');
+
+    // Samples are not written to the cache
+    assert.equal(await storage.hasTile(0, 1, 1), false);
+    assert.equal(await storage.hasTile(1, 1, 1), false);
+  });
+
+  it('sizes the download from the cached tiles without samples', async () => {
+    config = await createTestConfig();
+    await getTileStorage(config, 'Test').writeTile(0, 0, 1, Buffer.alloc(500));
+
+    const estimate = await quietly(() => new TileEstimator(config).estimateBoundingBox('Test', WORLD, 1, 2, { samples: 0 }));
+    assert.deepEqual(estimate.levels.map(level => [level.zoom, level.downloadTiles, level.averageTileBytes]), [[1, 3, 500], [2, 16, 500]]);
+    assert.equal(estimate.estimatedBytes, 19 * 500);
+    assert.equal(estimate.estimatedSeconds, null);
+  });
+
+  it('bounds the duration by the rate limit', async () => {
+    config = await createTestConfig({}, { MaxRequestsPerSecond: 2 });
+    const estimator = new TileEstimator(config);
+    const levels = [{ tileMapName: 'Test', downloadTiles: 100 }];
+
+    assert.equal(estimator.estimateSeconds(levels, 10, null), 50);
+  });
+});
@@ -0,0 +1,138 @@
+/**
+ * Tests for the failed download journal
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileDownloader } from '../src/downloader.js';
+import {
+  classifyError,
+  getFailedJournalPath,
+  appendFailedDownload,
+  removeFailedDownload,
+  loadFailedDownloads,
+  pruneFailedDownloads
+} from '../src/failures.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Create a journal entry
+ * @param {string} tileMapName The name of the tile map
+ * @param {Array<number>} tile [x, y, z]
+ * @param {string} errorClass The error class
+ * @returns {Object} The journal entry
+ */
+function createEntry(tileMapName, [x, y, z], errorClass = 'timeout') {
+  return { tileMapName, x, y, z, url: null, error: errorClass, status: null, errorClass, timestamp: new Date().toISOString() };
+}
+
+describe('classifyError', () => {
+  it('classifies HTTP statuses and network errors', () => {
+    assert.equal(classifyError({ response: { status: 404 } }), 'not-found');
+    assert.equal(classifyError({ response: { status: 403 } }), 'forbidden');
+    assert.equal(classifyError({ response: { status: 429 } }), 'rate-limited');
+    assert.equal(classifyError({ response: { status: 503 } }), 'server-error');
+    assert.equal(classifyError({ response: { status: 410 } }), 'client-error');
+    assert.equal(classifyError({ code: 'ECONNABORTED' }), 'timeout');
+    assert.equal(classifyError({ isAxiosError: true, code: 'ECONNREFUSED' }), 'network');
+    assert.equal(classifyError(new Error('boom')), 'unknown');
+  });
+});
+
+describe('failed download journal', () => {
+  it('loads the latest entry per tile and filters by tile map, zoom and error class', async () => {
+    config = await createTestConfig();
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1], 'server-error'));
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 3]));
+    await appendFailedDownload(config, createEntry('Other', [0, 0, 1]));
+
+    assert.equal((await loadFailedDownloads(config)).length, 3);
+    assert.deepEqual((await loadFailedDownloads(config, { tileMap: 'Test', zoom: 1 })).map(entry => entry.errorClass), ['server-error']);
+    assert.equal((await loadFailedDownloads(config, { zoom: [2, 5] })).length, 1);
+    assert.equal((await loadFailedDownloads(config, { errorClass: 'timeout' })).length, 2);
+  });
+
+  it('ignores a partially written last line', async () => {
+    config = await createTestConfig();
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    await fs.appendFile(getFailedJournalPath(config, 'Test'), '{"tileMapName":"Te');
+
+    assert.equal((await loadFailedDownloads(config)).length, 1);
+  });
+
+  it('drops resolved tiles', async () => {
+    config = await createTestConfig();
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    await appendFailedDownload(config, createEntry('Test', [1, 0, 1]));
+    await removeFailedDownload(config, { tileMapName: 'Test', x: 0, y: 0, z: 1 });
+
+    assert.deepEqual((await loadFailedDownloads(config)).map(entry => entry.x), [1]);
+  });
+
+  it('prunes the retried entries, keeping those that failed again and those outside the filter', async () => {
+    config = await createTestConfig();
+    const failedAgain = createEntry('Test', [1, 0, 1]);
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    await appendFailedDownload(config, failedAgain);
+    await appendFailedDownload(config, createEntry('Other', [0, 0, 1]));
+
+    await pruneFailedDownloads(config, { tileMap: 'Test' }, [failedAgain]);
+    assert.deepEqual((await loadFailedDownloads(config)).map(entry => `${entry.tileMapName}/${entry.x}`).sort(), ['Other/0', 'Test/1']);
+
+    await pruneFailedDownloads(config, {}, []);
+    assert.equal(await fs.pathExists(getFailedJournalPath(config, 'Test')), false);
+  });
+});
+
+describe('journaling downloads', () => {
+  it('drops a journaled tile when a later download succeeds', async () => {
+    let available = false;
+    server = await startTileServer((req, res) => {
+      res.writeHead(available ? 200 : 500, { 'Content-Type': 'image/png' });
+      res.end(available ? createPngTile(1) : '');
+    });
+    config = await createTestConfig({}, { Url: server.url });
+
+    assert.equal(await quietly(() => new TileDownloader(config).downloadTile('Test', 0, 0, 1)), false);
+    assert.equal((await loadFailedDownloads(config)).length, 1);
+
+    available = true;
+    assert.equal(await quietly(() => new TileDownloader(config).downloadTile('Test', 0, 0, 1)), true);
+    assert.deepEqual(await loadFailedDownloads(config), []);
+  });
+
+  it('counts tiles cached in the meantime as recovered by retry-failed', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    await appendFailedDownload(config, createEntry('Test', [1, 0, 1]));
+    await quietly(() => new TileDownloader(config).downloadTile('Test', 0, 0, 1));
+
+    // The successful download already dropped its entry
+    assert.deepEqual((await loadFailedDownloads(config)).map(entry => entry.x), [1]);
+
+    await appendFailedDownload(config, createEntry('Test', [0, 0, 1]));
+    const stats = await quietly(() => new TileDownloader(config).retryFailedDownloads());
+    assert.equal(stats.totalTiles, 2);
+    assert.equal(stats.downloadedTiles, 1);
+    assert.equal(stats.skippedTiles, 1);
+    assert.deepEqual(await loadFailedDownloads(config), []);
+  });
+});
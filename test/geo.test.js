@@ -0,0 +1,311 @@
+/**
+ * Tests for the tile covers of bounding boxes and GeoJSON objects
+ */
+
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import * as turf from '@turf/turf';
+import {
+  latLonToTile,
+  tileToLatLonBounds,
+  validateBoundingBox,
+  validateZoomRange,
+  getTileRanges,
+  iterateTilesForBoundingBox,
+  countTilesForBoundingBox,
+  getBufferForZoom,
+  getFeatureAreas,
+  iterateTilesForGeoJSON,
+  iterateTilesForAreas
+} from '../src/geo.js';
+
+/**
+ * Create a random number generator with a fixed seed (mulberry32), so failures can be reproduced
+ * @param {number} seed The seed
+ * @returns {Function} A function returning numbers between 0 and 1
+ */
+function createRandom(seed) {
+  return () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Get the keys of tiles, sorted
+ * @param {Iterable<Object>} tiles Tile objects {x, y, z}
+ * @returns {Array<string>} The keys "z/x/y"
+ */
+function tileKeys(tiles) {
+  return Array.from(tiles, tile => `${tile.z}/${tile.x}/${tile.y}`).sort();
+}
+
+/**
+ * Find the tiles intersecting a feature by testing every tile of its bounding box
+ * @param {Object} feature GeoJSON feature, not crossing the antimeridian
+ * @param {number} zoom Zoom level
+ * @returns {Array<string>} The keys of the tiles, see tileKeys()
+ */
+function bruteForceCover(feature, zoom) {
+  const tiles = [];
+  for (const range of getTileRanges(turf.bbox(feature), zoom)) {
+    for (let x = range.minX; x <= range.maxX; x++) {
+      for (let y = range.minY; y <= range.maxY; y++) {
+        const [west, south, east, north] = tileToLatLonBounds(x, y, zoom);
+        const tile = turf.polygon([[[west, south], [east, south], [east, north], [west, north], [west, south]]]);
+        if (turf.booleanIntersects(tile, feature)) {
+          tiles.push({ x, y, z: zoom });
+        }
+      }
+    }
+  }
+  return tileKeys(tiles);
+}
+
+/**
+ * Create a random star-shaped polygon, which never intersects itself
+ * @param {Function} random The random number generator
+ * @param {number} centerLon The longitude of the center (default: random)
+ * @returns {Object} GeoJSON Polygon feature
+ */
+function randomPolygon(random, centerLon = -170 + random() * 340) {
+  const centerLat = -70 + random() * 140;
+  const vertices = 3 + Math.floor(random() * 12);
+  const angles = Array.from({ length: vertices }, () => random() * 2 * Math.PI).sort((a, b) => a - b);
+
+  const ring = angles.map(angle => {
+    const radius = 0.2 + random() * 4;
+    return [centerLon + radius * Math.cos(angle), centerLat + radius * Math.sin(angle)];
+  });
+  ring.push([...ring[0]]);
+  return turf.polygon([ring]);
+}
+
+/**
+ * Create a random line
+ * @param {Function} random The random number generator
+ * @returns {Object} GeoJSON LineString feature
+ */
+function randomLine(random) {
+  let lon = -170 + random() * 340;
+  let lat = -70 + random() * 140;
+  const positions = [[lon, lat]];
+  for (let i = 1 + Math.floor(random() * 6); i > 0; i--) {
+    lon += (random() - 0.5) * 4;
+    lat += (random() - 0.5) * 4;
+    positions.push([lon, lat]);
+  }
+  return turf.lineString(positions);
+}
+
+describe('validateZoomRange', () => {
+  it('accepts whole zoom levels from 0 to 30', () => {
+    validateZoomRange(0, 30);
+    validateZoomRange(12, 12);
+  });
+
+  it('rejects fractional, negative, too large and reversed zoom levels', () => {
+    assert.throws(() => validateZoomRange(1.5, 2), /Invalid zoom level "1.5"/);
+    assert.throws(() => validateZoomRange(-1, 2), /Invalid zoom level "-1"/);
+    assert.throws(() => validateZoomRange(0, 31), /Invalid zoom level "31"/);
+    assert.throws(() => validateZoomRange(0, NaN), /Invalid zoom level "NaN"/);
+    assert.throws(() => validateZoomRange(5, 4), /Invalid zoom range 5-4/);
+  });
+});
+
+describe('validateBoundingBox', () => {
+  it('accepts a bounding box crossing the antimeridian', () => {
+    validateBoundingBox([170, -20, -170, -10]);
+  });
+
+  it('rejects incomplete, out of range and upside-down bounding boxes', () => {
+    assert.throws(() => validateBoundingBox([0, 0, 1]), /expected four numbers/);
+    assert.throws(() => validateBoundingBox([0, 0, NaN, 1]), /expected four numbers/);
+    assert.throws(() => validateBoundingBox([0, 0, 181, 1]), /longitudes must be between -180 and 180/);
+    assert.throws(() => validateBoundingBox([0, -91, 1, 1]), /latitudes must be between -90 and 90/);
+    assert.throws(() => validateBoundingBox([0, 10, 1, 5]), /minLat must not be greater than maxLat/);
+  });
+});
+
+describe('latLonToTile', () => {
+  it('keeps the poles and 180° inside the zoom level', () => {
+    assert.deepEqual(latLonToTile(90, 180, 3), { x: 7, y: 0 });
+    assert.deepEqual(latLonToTile(-90, -180, 3), { x: 0, y: 7 });
+  });
+
+  it('covers a bounding box reaching the pole with the top row', () => {
+    assert.deepEqual(tileKeys(iterateTilesForBoundingBox([-10, 80, 10, 90], 2, 2)), ['2/1/0', '2/2/0']);
+  });
+});
+
+describe('getTileRanges', () => {
+  it('returns one range for a bounding box', () => {
+    assert.deepEqual(getTileRanges([-74.01, 40.70, -73.96, 40.75], 10), [
+      { minX: 301, maxX: 301, minY: 384, maxY: 385 }
+    ]);
+  });
+
+  it('splits a bounding box crossing the antimeridian into a range on each side', () => {
+    assert.deepEqual(getTileRanges([170, -20, -170, -10], 4), [
+      { minX: 15, maxX: 15, minY: 8, maxY: 8 },
+      { minX: 0, maxX: 0, minY: 8, maxY: 8 }
+    ]);
+  });
+
+  it('returns the whole row once the two sides of the antimeridian meet', () => {
+    assert.deepEqual(getTileRanges([170, -20, -170, -10], 0), [{ minX: 0, maxX: 0, minY: 0, maxY: 0 }]);
+    assert.deepEqual(getTileRanges([10, -20, -10, -10], 1), [{ minX: 0, maxX: 1, minY: 1, maxY: 1 }]);
+  });
+});
+
+describe('iterateTilesForBoundingBox', () => {
+  it('yields the tiles on both sides of the antimeridian once', () => {
+    const tiles = tileKeys(iterateTilesForBoundingBox([170, -20, -170, -10], 3, 4));
+    assert.deepEqual(tiles, ['3/0/4', '3/7/4', '4/0/8', '4/15/8']);
+  });
+});
+
+describe('countTilesForBoundingBox', () => {
+  it('counts the tiles iterateTilesForBoundingBox yields without enumerating them', () => {
+    for (const bbox of [[-74.01, 40.70, -73.96, 40.75], [170, -20, -170, -10], [-180, -85, 180, 85]]) {
+      assert.equal(countTilesForBoundingBox(bbox, 0, 9), [...iterateTilesForBoundingBox(bbox, 0, 9)].length, bbox.join(','));
+    }
+    assert.equal(countTilesForBoundingBox([-180, -90, 180, 90], 20, 20), Math.pow(4, 20));
+  });
+});
+
+describe('iterateTilesForGeoJSON', () => {
+  it('matches testing every tile with turf.booleanIntersects for random polygons', () => {
+    const random = createRandom(13);
+    for (let i = 0; i < 60; i++) {
+      const polygon = randomPolygon(random);
+      const zoom = 3 + Math.floor(random() * 8);
+      assert.deepEqual(tileKeys(iterateTilesForGeoJSON(polygon, zoom, zoom)), bruteForceCover(polygon, zoom),
+        `polygon ${JSON.stringify(polygon.geometry.coordinates)} at zoom ${zoom}`);
+    }
+  });
+
+  it('matches testing every tile with turf.booleanIntersects for random lines', () => {
+    const random = createRandom(14);
+    for (let i = 0; i < 40; i++) {
+      const line = randomLine(random);
+      const zoom = 3 + Math.floor(random() * 8);
+      assert.deepEqual(tileKeys(iterateTilesForGeoJSON(line, zoom, zoom)), bruteForceCover(line, zoom),
+        `line ${JSON.stringify(line.geometry.coordinates)} at zoom ${zoom}`);
+    }
+  });
+
+  it('leaves out the tiles inside a hole', () => {
+    const polygon = turf.polygon([
+      [[1, 1], [61, 1], [61, 61], [1, 61], [1, 1]],
+      [[6, 6], [56, 6], [56, 51], [6, 51], [6, 6]]
+    ]);
+    const tiles = tileKeys(iterateTilesForGeoJSON(polygon, 5, 5));
+    assert.ok(tiles.length < tileKeys(iterateTilesForBoundingBox([1, 1, 61, 61], 5, 5)).length);
+    assert.deepEqual(tiles, bruteForceCover(polygon, 5));
+  });
+
+  it('covers a point with one tile per zoom level', () => {
+    const tiles = [9, 10].map(zoom => ({ ...latLonToTile(40.72, -73.98, zoom), z: zoom }));
+    assert.deepEqual(tileKeys(iterateTilesForGeoJSON(turf.point([-73.98, 40.72]), 9, 10)), tileKeys(tiles));
+  });
+
+  it('yields tiles where features overlap once', () => {
+    const a = turf.polygon([[[0, 0], [20, 0], [20, 20], [0, 20], [0, 0]]]);
+    const b = turf.polygon([[[10, 10], [30, 10], [30, 30], [10, 30], [10, 10]]]);
+    const tiles = tileKeys(iterateTilesForGeoJSON(turf.featureCollection([a, b]), 4, 6));
+    assert.equal(new Set(tiles).size, tiles.length);
+    assert.deepEqual(tiles, tileKeys(iterateTilesForGeoJSON(turf.union(turf.featureCollection([a, b])), 4, 6)));
+  });
+});
+
+describe('iterateTilesForGeoJSON across the antimeridian', () => {
+  it('matches testing every tile with turf.booleanIntersects for random polygons crossing the antimeridian', () => {
+    const random = createRandom(15);
+    for (let i = 0; i < 30; i++) {
+      // The polygon continues past 180°; its eastern part is tested at its place west of -180°
+      const polygon = randomPolygon(random, 178 + random() * 4);
+      const zoom = 3 + Math.floor(random() * 8);
+      const west = turf.bboxClip(polygon, [170, -90, 180, 90]);
+      const east = turf.clone(turf.bboxClip(polygon, [180, -90, 190, 90]));
+      turf.coordEach(east, position => {
+        position[0] -= 360;
+      });
+
+      const expected = [west, east]
+        .filter(part => part.geometry.coordinates.length > 0)
+        .flatMap(part => bruteForceCover(part, zoom));
+      assert.deepEqual(tileKeys(iterateTilesForGeoJSON(polygon, zoom, zoom)), Array.from(new Set(expected)).sort(),
+        `polygon ${JSON.stringify(polygon.geometry.coordinates)} at zoom ${zoom}`);
+    }
+  });
+
+  it('covers a polygon crossing the antimeridian on both sides', () => {
+    const polygon = turf.polygon([[[170, -10], [-170, -10], [-170, 10], [170, 10], [170, -10]]]);
+    for (const zoom of [0, 3, 6]) {
+      assert.deepEqual(
+        tileKeys(iterateTilesForGeoJSON(polygon, zoom, zoom)),
+        tileKeys(iterateTilesForBoundingBox([170, -10, -170, 10], zoom, zoom)),
+        `zoom ${zoom}`
+      );
+    }
+  });
+
+  it('gives the same cover to a polygon with longitudes past 180°', () => {
+    const wrapped = turf.polygon([[[175, 5], [-175, 5], [-178, 15], [175, 5]]]);
+    const unwrapped = turf.polygon([[[175, 5], [185, 5], [182, 15], [175, 5]]]);
+    assert.deepEqual(tileKeys(iterateTilesForGeoJSON(wrapped, 2, 8)), tileKeys(iterateTilesForGeoJSON(unwrapped, 2, 8)));
+  });
+});
+
+describe('iterateTilesForGeoJSON with a buffer', () => {
+  it('grows the area by the buffer of each zoom level', () => {
+    const point = turf.point([10, 45]);
+    const buffer = { 9: 30000, 10: 0 };
+    const grown = tileKeys(iterateTilesForGeoJSON(point, 9, 9, { buffer }));
+    assert.ok(grown.length > 1);
+    assert.deepEqual(grown, bruteForceCover(turf.buffer(point, 30000, { units: 'meters' }), 9));
+    assert.deepEqual(tileKeys(iterateTilesForGeoJSON(point, 10, 10, { buffer })), bruteForceCover(point, 10));
+  });
+});
+
+describe('getBufferForZoom', () => {
+  it('applies each distance from its zoom level up', () => {
+    assert.equal(getBufferForZoom(null, 10), 0);
+    assert.equal(getBufferForZoom(250, 10), 250);
+    const buffer = { 10: 2000, 15: 200 };
+    assert.equal(getBufferForZoom(buffer, 9), 0);
+    assert.equal(getBufferForZoom(buffer, 10), 2000);
+    assert.equal(getBufferForZoom(buffer, 14), 2000);
+    assert.equal(getBufferForZoom(buffer, 18), 200);
+  });
+});
+
+describe('getFeatureAreas', () => {
+  const geojson = turf.featureCollection([
+    turf.point([0, 0], { name: 'Default' }),
+    turf.point([1, 1], { name: 'Custom', minzoom: 12, maxzoom: '14' }),
+    turf.point([2, 2], { name: 'Renamed', from_zoom: 3 })
+  ]);
+
+  it('reads the zoom range of each feature from its properties', () => {
+    assert.deepEqual(getFeatureAreas(geojson, 5, 10).map(area => [area.minZoom, area.maxZoom]), [[5, 10], [12, 14], [5, 10]]);
+  });
+
+  it('reads renamed properties and ignores properties set to null', () => {
+    const areas = getFeatureAreas(geojson, 5, 10, { properties: { minZoom: 'from_zoom', maxZoom: null } });
+    assert.deepEqual(areas.map(area => [area.minZoom, area.maxZoom]), [[5, 10], [5, 10], [3, 10]]);
+  });
+
+  it('names the feature with an invalid zoom range', () => {
+    const invalid = turf.featureCollection([turf.point([0, 0], { name: 'Bad', minzoom: 12 })]);
+    assert.throws(() => getFeatureAreas(invalid, 5, 10), /Feature "Bad": Invalid zoom range 12-10/);
+  });
+
+  it('covers each area at its own zoom range', () => {
+    const tiles = tileKeys(iterateTilesForAreas(getFeatureAreas(geojson, 5, 5)));
+    assert.deepEqual(tiles.map(key => Number(key.split('/')[0])).sort((a, b) => a - b), [5, 5, 12, 13, 14]);
+  });
+});
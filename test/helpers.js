@@ -0,0 +1,119 @@
+/**
+ * Shared fixtures for the tests: temporary caches, tile images and a local tile server
+ */
+
+import fs from 'fs-extra';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+
+/**
+ * Compute the CRC-32 of a buffer, as PNG chunks are checked with
+ * @param {Buffer} data The data
+ * @returns {number} The CRC-32 as an unsigned integer
+ */
+function crc32(data) {
+  let crc = 0xffffffff;
+  for (const byte of data) {
+    crc ^= byte;
+    for (let k = 0; k < 8; k++) {
+      crc = crc & 1 ? 0xedb88320 ^ (crc >>> 1) : crc >>> 1;
+    }
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Build a PNG chunk
+ * @param {string} type The chunk type, e.g. "IHDR"
+ * @param {Buffer} data The chunk data
+ * @returns {Buffer} The chunk with its length and checksum
+ */
+function createPngChunk(type, data) {
+  const chunk = Buffer.alloc(12 + data.length);
+  chunk.writeUInt32BE(data.length, 0);
+  chunk.write(type, 4, 'latin1');
+  data.copy(chunk, 8);
+  chunk.writeUInt32BE(crc32(chunk.subarray(4, 8 + data.length)), 8 + data.length);
+  return chunk;
+}
+
+/**
+ * Create a valid 1x1 grayscale PNG tile
+ * @param {number} shade The gray value of its pixel (0-255), so that tiles can differ
+ * @returns {Buffer} The PNG data
+ */
+function createPngTile(shade = 0) {
+  const header = Buffer.alloc(13);
+  header.writeUInt32BE(1, 0);
+  header.writeUInt32BE(1, 4);
+  header[8] = 8;
+  return Buffer.concat([
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+    createPngChunk('IHDR', header),
+    createPngChunk('IDAT', zlib.deflateSync(Buffer.from([0, shade]))),
+    createPngChunk('IEND', Buffer.alloc(0))
+  ]);
+}
+
+/**
+ * Create a configuration with a tile map "Test" and an empty cache in a new temp folder
+ * @param {Object} overrides Settings replacing the defaults, e.g. {Dedup: true}
+ * @param {Object} tileMap Settings of the tile map replacing the defaults, e.g. {Url}
+ * @returns {Promise<Object>} The configuration; TestFolder is the temp folder to remove
+ */
+async function createTestConfig(overrides = {}, tileMap = {}) {
+  const testFolder = await fs.mkdtemp(path.join(os.tmpdir(), 'geo-tile-test-'));
+  return {
+    TestFolder: testFolder,
+    TileCacheFolder: path.join(testFolder, 'cache'),
+    TileMaps: [
+      { Name: 'Test', Url: 'http://127.0.0.1:9/{z}/{x}/{y}.png', Format: 'png', ...tileMap }
+    ],
+    Retry: { MaxRetries: 0, BaseDelay: 1, MaxDelay: 1 },
+    ...overrides
+  };
+}
+
+/**
+ * Start a tile server on a free local port
+ * @param {Function} handler The request handler(req, res, tile), where tile is {x, y, z} parsed from /{z}/{x}/{y}.png
+ * @returns {Promise<Object>} The server {url, requests, close}; url is a tile map URL template,
+ *   requests lists the requested tiles with their headers
+ */
+async function startTileServer(handler) {
+  const requests = [];
+  const server = http.createServer((req, res) => {
+    const [z, x, y] = (req.url.match(/^\/(\d+)\/(\d+)\/(\d+)\.png$/) || []).slice(1).map(Number);
+    const tile = { x, y, z };
+    requests.push({ ...tile, headers: req.headers });
+    handler(req, res, tile);
+  });
+
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  return {
+    url: `http://127.0.0.1:${server.address().port}/{z}/{x}/{y}.png`,
+    requests,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+/**
+ * Run a function with console.log and console.error silenced, for code that reports progress
+ * @param {Function} fn The function
+ * @returns {Promise<*>} What the function returns
+ */
+async function quietly(fn) {
+  const { log, error } = console;
+  console.log = () => {};
+  console.error = () => {};
+  try {
+    return await fn();
+  } finally {
+    console.log = log;
+    console.error = error;
+  }
+}
+
+export { createPngTile, createTestConfig, startTileServer, quietly };
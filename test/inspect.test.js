@@ -0,0 +1,80 @@
+/**
+ * Tests for cache statistics
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { getMetadataPath } from '../src/metadata.js';
+import { CacheInspector } from '../src/inspect.js';
+import { getTileStorage } from '../src/storage.js';
+import { createTestConfig } from './helpers.js';
+
+const OLD_TIME = new Date('2020-01-01T00:00:00Z');
+const NEW_TIME = new Date('2024-01-01T00:00:00Z');
+
+let config = null;
+
+afterEach(async () => {
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  config = null;
+});
+
+/**
+ * Cache a tile fetched at the given time
+ * @param {TileStorage} storage The storage of the tile map
+ * @param {Array<number>} tile The tile [x, y, z]
+ * @param {number} size The tile size in bytes
+ * @param {Date} fetchedAt The time the tile was fetched
+ */
+async function writeTile(storage, [x, y, z], size, fetchedAt) {
+  const filePath = await storage.writeTile(x, y, z, Buffer.alloc(size));
+  await fs.writeJson(getMetadataPath(filePath), { fetchedAt: fetchedAt.toISOString() });
+}
+
+describe('CacheInspector', () => {
+  it('sums the tiles of each zoom level and tile map', async () => {
+    config = await createTestConfig({
+      TileMaps: [
+        { Name: 'Test', Url: 'http://127.0.0.1:9/{z}/{x}/{y}.png', Format: 'png' },
+        { Name: 'Empty', Url: 'http://127.0.0.1:9/{z}/{x}/{y}.png', Format: 'png' }
+      ]
+    });
+    const storage = getTileStorage(config, 'Test');
+    await writeTile(storage, [0, 0, 0], 100, NEW_TIME);
+    await writeTile(storage, [0, 0, 1], 200, OLD_TIME);
+    await writeTile(storage, [1, 0, 1], 300, NEW_TIME);
+
+    const [summary, empty] = await new CacheInspector(config).inspect();
+    assert.equal(summary.tileMapName, 'Test');
+    assert.equal(summary.folder, storage.rootFolder);
+    assert.equal(summary.tiles, 3);
+    assert.equal(summary.bytes, 600);
+    assert.deepEqual([summary.oldest, summary.newest], [OLD_TIME, NEW_TIME]);
+
+    const [level0, level1] = summary.levels;
+    assert.deepEqual([level0.zoom, level0.tiles, level0.bytes], [0, 1, 100]);
+    assert.deepEqual([level1.zoom, level1.tiles, level1.bytes], [1, 2, 500]);
+    assert.deepEqual([level1.minX, level1.maxX, level1.minY, level1.maxY], [0, 1, 0, 0]);
+    assert.deepEqual([level1.oldest, level1.newest], [OLD_TIME, NEW_TIME]);
+
+    assert.deepEqual(empty.levels, []);
+    assert.equal(empty.tiles, 0);
+    assert.equal(empty.oldest, null);
+    assert.equal(empty.bbox, null);
+  });
+
+  it('reports the extent of the cached tiles', async () => {
+    config = await createTestConfig();
+    const storage = getTileStorage(config, 'Test');
+    await writeTile(storage, [1, 1, 1], 100, NEW_TIME);
+
+    const summary = await new CacheInspector(config).inspectTileMap('Test');
+    const [west, south, east, north] = summary.bbox;
+    assert.deepEqual([west, east], [0, 180]);
+    assert.ok(south < -85 && Math.abs(north) < 1e-9);
+    assert.deepEqual(summary.levels[0].bbox, summary.bbox);
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Tests for download job manifests and resuming jobs
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import { TileDownloader } from '../src/downloader.js';
+import { DownloadJob } from '../src/jobs.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const WORLD = [-180, -80, 180, 80];
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Create a job for the zoom level 1 tiles of the world
+ * @returns {Promise<DownloadJob>} The saved job
+ */
+function createWorldJob() {
+  return DownloadJob.create(config, { tileMapName: 'Test', area: { type: 'bbox', bbox: WORLD }, minZoom: 1, maxZoom: 1, options: {} });
+}
+
+describe('DownloadJob', () => {
+  it('saves, loads and lists jobs', async () => {
+    config = await createTestConfig();
+    const job = await createWorldJob();
+
+    const loaded = await DownloadJob.load(config, job.id);
+    assert.equal(loaded.status, 'running');
+    assert.equal(loaded.manifest.tileMapName, 'Test');
+    assert.deepEqual((await DownloadJob.list(config)).map(listed => listed.id), [job.id]);
+    await assert.rejects(DownloadJob.load(config, 'missing'), /Job "missing" not found/);
+  });
+
+  it('moves the cursor only past tiles that are done in order', async () => {
+    config = await createTestConfig();
+    const job = await createWorldJob();
+
+    job.markDone(1, null);
+    job.markDone(2, null);
+    assert.equal(job.manifest.cursor, 0);
+    assert.equal(job.isDone(2), true);
+    assert.equal(job.isDone(0), false);
+
+    job.markDone(0, null);
+    assert.equal(job.manifest.cursor, 3);
+    await job.finish(null);
+    assert.equal((await DownloadJob.load(config, job.id)).status, 'completed');
+  });
+
+  it('reports a running job whose process is gone as interrupted', async () => {
+    config = await createTestConfig();
+    const job = await createWorldJob();
+    job.manifest.pid = spawnSync(process.execPath, ['-e', '']).pid;
+
+    assert.equal(job.status, 'interrupted');
+  });
+});
+
+describe('resuming jobs', () => {
+  it('downloads only the tiles an earlier run had not done', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+    const job = await createWorldJob();
+    job.markDone(0, null);
+    job.markDone(2, null);
+    await job.stop(null, 'test');
+
+    const stats = await quietly(() => new TileDownloader(config, 1).resumeJob(job.id));
+    assert.equal(stats.downloadedTiles, 2);
+    assert.equal(server.requests.length, 2);
+    assert.equal((await DownloadJob.load(config, job.id)).status, 'completed');
+
+    await assert.rejects(quietly(() => new TileDownloader(config).resumeJob('missing')), /not found/);
+  });
+
+  it('records a download run as a completed job', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+    const downloader = new TileDownloader(config, 1);
+
+    await quietly(() => downloader.downloadTilesForBoundingBox('Test', WORLD, 1, 1));
+    const job = await DownloadJob.load(config, downloader.job.id);
+    assert.equal(job.status, 'completed');
+    assert.equal(job.manifest.cursor, 4);
+    assert.equal(job.manifest.stats.downloadedTiles, 4);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for declarative job files
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import * as turf from '@turf/turf';
+import { TileDownloader } from '../src/downloader.js';
+import {
+  loadJobSpec,
+  validateJobSpec,
+  getJobSpecTileMaps,
+  getJobSpecZoomRange,
+  iterateJobSpecTiles
+} from '../src/jobspec.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Create a configuration with the tile maps "Base" and "Labels"
+ * @param {string} url The tile map URL template
+ * @returns {Promise<Object>} The configuration
+ */
+function createTwoMapConfig(url = 'http://127.0.0.1:9/{z}/{x}/{y}.png') {
+  return createTestConfig({
+    TileMaps: [
+      { Name: 'Base', Url: url, Format: 'png' },
+      { Name: 'Labels', Url: url, Format: 'png' }
+    ]
+  });
+}
+
+describe('job specs', () => {
+  it('loads the GeoJSON files of a job file relative to it', async () => {
+    config = await createTwoMapConfig();
+    const specPath = path.join(config.TestFolder, 'jobs', 'job.json');
+    await fs.outputJson(path.join(config.TestFolder, 'jobs', 'point.geojson'), turf.point([10, 45]));
+    await fs.outputJson(specPath, {
+      tileMaps: ['Base'],
+      areas: [{ geojson: './point.geojson', minZoom: 3, maxZoom: 4 }]
+    });
+
+    const spec = await loadJobSpec(config, specPath);
+    assert.equal(spec.name, 'job');
+    assert.equal(spec.areas[0].geojson.geometry.type, 'Point');
+  });
+
+  it('names the invalid area', async () => {
+    config = await createTwoMapConfig();
+    const area = { name: 'City', bbox: [0, 0, 1, 1], minZoom: 3, maxZoom: 4 };
+
+    assert.throws(() => validateJobSpec(config, { tileMaps: ['Base'], areas: [] }), /"areas" must be a non-empty list/);
+    assert.throws(() => validateJobSpec(config, { areas: [area] }), /area "City": no tile maps/);
+    assert.throws(() => validateJobSpec(config, { tileMaps: ['Base'], areas: [{ ...area, geojson: {} }] }), /area "City": set either "bbox" or "geojson"/);
+    assert.throws(() => validateJobSpec(config, { tileMaps: ['Other'], areas: [area] }), /area "City": .*Other/);
+    assert.throws(() => validateJobSpec(config, { tileMaps: ['Base'], areas: [{ ...area, maxZoom: 2 }] }), /area "City"/);
+  });
+
+  it('yields the tiles of each tile map once, with the zoom range of each area', () => {
+    const spec = {
+      tileMaps: ['Base'],
+      areas: [
+        { bbox: [-180, -80, 180, 80], minZoom: 0, maxZoom: 1 },
+        { bbox: [-180, -80, 180, 80], minZoom: 1, maxZoom: 1, tileMaps: ['Labels', 'Base'] }
+      ]
+    };
+
+    assert.deepEqual(getJobSpecTileMaps(spec), ['Base', 'Labels']);
+    assert.deepEqual(getJobSpecZoomRange(spec), [0, 1]);
+    const tiles = [...iterateJobSpecTiles(spec)].map(tile => `${tile.tileMapName}/${tile.z}`);
+    assert.deepEqual(tiles, ['Base/0', 'Base/1', 'Base/1', 'Base/1', 'Base/1', 'Labels/1', 'Labels/1', 'Labels/1', 'Labels/1']);
+  });
+
+  it('downloads every tile map of a job file as one job', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTwoMapConfig(server.url);
+
+    const stats = await quietly(() => new TileDownloader(config, 1).runJobSpec({
+      name: 'Test',
+      tileMaps: ['Base', 'Labels'],
+      areas: [{ bbox: [-10, -10, 10, 10], minZoom: 0, maxZoom: 0 }]
+    }));
+    assert.equal(stats.downloadedTiles, 2);
+    assert.equal(await getTileStorage(config, 'Base').hasTile(0, 0, 0), true);
+    assert.equal(await getTileStorage(config, 'Labels').hasTile(0, 0, 0), true);
+  });
+});
@@ -0,0 +1,55 @@
+/**
+ * Tests for the cache lock
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import os from 'os';
+import { CacheLock, getLockPath } from '../src/lock.js';
+import { createTestConfig, quietly } from './helpers.js';
+
+let config = null;
+
+afterEach(async () => {
+  await fs.remove(config.TestFolder);
+});
+
+/**
+ * Get the process ID of a process that has exited
+ * @returns {number} The process ID
+ */
+function getExitedPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('CacheLock', () => {
+  it('keeps a second run out until the lock is released', async () => {
+    config = await createTestConfig();
+    const lock = await CacheLock.acquire(config.TileCacheFolder, 'download-bbox');
+
+    await assert.rejects(CacheLock.acquire(config.TileCacheFolder, 'refresh'), /is in use by "download-bbox"/);
+    lock.release();
+    assert.equal(await fs.pathExists(getLockPath(config.TileCacheFolder)), false);
+    (await CacheLock.acquire(config.TileCacheFolder, 'refresh')).release();
+  });
+
+  it('takes over the lock of a process that is gone', async () => {
+    config = await createTestConfig();
+    const lockPath = getLockPath(config.TileCacheFolder);
+    await fs.outputJson(lockPath, { pid: getExitedPid(), hostname: os.hostname(), command: 'proxy', acquiredAt: new Date().toISOString() });
+
+    const lock = await quietly(() => CacheLock.acquire(config.TileCacheFolder, 'refresh'));
+    assert.equal((await fs.readJson(lockPath)).pid, process.pid);
+    lock.release();
+  });
+
+  it('never takes over the lock of another host', async () => {
+    config = await createTestConfig();
+    const lockPath = getLockPath(config.TileCacheFolder);
+    await fs.outputJson(lockPath, { pid: getExitedPid(), hostname: `not-${os.hostname()}`, command: 'proxy', acquiredAt: new Date().toISOString() });
+
+    await assert.rejects(CacheLock.acquire(config.TileCacheFolder, 'refresh'), /delete .*\.lock if that process is gone/);
+  });
+});
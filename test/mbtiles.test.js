@@ -0,0 +1,114 @@
+/**
+ * Tests for the MBTiles export
+ */
+
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import Database from 'better-sqlite3';
+import fs from 'fs-extra';
+import path from 'path';
+import * as turf from '@turf/turf';
+import { MBTilesExporter, xyzToTmsRow } from '../src/mbtiles.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, quietly } from './helpers.js';
+
+let config = null;
+let outputPath = null;
+
+beforeEach(async () => {
+  config = await createTestConfig();
+  outputPath = path.join(config.TestFolder, 'export.mbtiles');
+});
+
+afterEach(async () => {
+  await fs.remove(config.TestFolder);
+});
+
+/**
+ * Read an MBTiles file
+ * @param {string} filePath The MBTiles file
+ * @returns {Object} The file contents {metadata, tiles}; tiles are "z/column/row" keys
+ */
+function readMBTiles(filePath) {
+  const db = new Database(filePath, { readonly: true });
+  try {
+    const metadata = Object.fromEntries(db.prepare('SELECT name, value FROM metadata').all().map(row => [row.name, row.value]));
+    const tiles = db.prepare('SELECT zoom_level, tile_column, tile_row FROM tiles ORDER BY zoom_level, tile_column, tile_row').all()
+      .map(row => `${row.zoom_level}/${row.tile_column}/${row.tile_row}`);
+    return { metadata, tiles };
+  } finally {
+    db.close();
+  }
+}
+
+describe('xyzToTmsRow', () => {
+  it('counts rows from the south', () => {
+    assert.equal(xyzToTmsRow(0, 0), 0);
+    assert.equal(xyzToTmsRow(0, 3), 7);
+    assert.equal(xyzToTmsRow(7, 3), 0);
+    assert.equal(xyzToTmsRow(385, 10), 638);
+  });
+});
+
+describe('MBTilesExporter', () => {
+  it('exports the cached tiles of a bounding box with TMS rows and counts the missing ones', async () => {
+    const storage = getTileStorage(config, 'Test');
+    await storage.writeTile(0, 0, 1, createPngTile(1));
+    await storage.writeTile(1, 1, 1, createPngTile(2));
+
+    const stats = await quietly(() => new MBTilesExporter(config).exportBoundingBox('Test', [-180, -80, 180, 80], 1, 1, outputPath));
+    assert.deepEqual(stats, { totalTiles: 4, exportedTiles: 2, missingTiles: 2 });
+
+    const { metadata, tiles } = readMBTiles(outputPath);
+    assert.deepEqual(tiles, ['1/0/1', '1/1/0']);
+    assert.equal(metadata.format, 'png');
+    assert.equal(metadata.name, 'Test');
+    assert.equal(metadata.minzoom, '1');
+    assert.equal(metadata.maxzoom, '1');
+    assert.equal(metadata.bounds, '-180,-80,180,80');
+  });
+
+  it('writes the tile data unchanged', async () => {
+    const data = createPngTile(7);
+    await getTileStorage(config, 'Test').writeTile(0, 0, 0, data);
+
+    await quietly(() => new MBTilesExporter(config).exportBoundingBox('Test', [-10, -10, 10, 10], 0, 0, outputPath));
+    const db = new Database(outputPath, { readonly: true });
+    const row = db.prepare('SELECT tile_data FROM tiles').get();
+    db.close();
+    assert.deepEqual(row.tile_data, data);
+  });
+
+  it('writes bounds and center across the antimeridian', async () => {
+    await quietly(() => new MBTilesExporter(config).exportBoundingBox('Test', [170, -20, -170, -10], 2, 4, outputPath, { name: 'Pacific' }));
+    const { metadata } = readMBTiles(outputPath);
+    assert.equal(metadata.name, 'Pacific');
+    assert.equal(metadata.bounds, '-180,-20,180,-10');
+    assert.equal(metadata.center, '-180,-15,3');
+  });
+
+  it('exports a GeoJSON area at the zoom ranges of its features, grown by the buffer', async () => {
+    const point = turf.point([10, 45], { maxzoom: 9 });
+    const exporter = new MBTilesExporter(config);
+
+    const plain = await quietly(() => exporter.exportGeoJSON('Test', point, 8, 12, outputPath));
+    assert.equal(plain.totalTiles, 2);
+    assert.equal(readMBTiles(outputPath).metadata.maxzoom, '9');
+
+    const buffered = await quietly(() => exporter.exportGeoJSON('Test', point, 8, 12, outputPath, { buffer: 30000 }));
+    assert.ok(buffered.totalTiles > plain.totalTiles);
+    const [west, south, east, north] = readMBTiles(outputPath).metadata.bounds.split(',').map(Number);
+    assert.ok(west < 10 && east > 10 && south < 45 && north > 45);
+  });
+
+  it('rejects a GeoJSON without geometries instead of writing invalid metadata', async () => {
+    const exporter = new MBTilesExporter(config);
+    const empty = turf.featureCollection([]);
+    const noGeometry = turf.featureCollection([{ type: 'Feature', properties: {}, geometry: null }]);
+
+    for (const geojson of [empty, noGeometry]) {
+      await assert.rejects(exporter.exportGeoJSON('Test', geojson, 0, 5, outputPath), /no features with a geometry/);
+    }
+    assert.equal(await fs.pathExists(outputPath), false);
+  });
+});
@@ -0,0 +1,103 @@
+/**
+ * Tests for tile metadata sidecars and the revalidation of expired tiles
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileDownloader } from '../src/downloader.js';
+import { readTileMetadata, writeTileMetadata, getRevalidationHeaders } from '../src/metadata.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const OLD_TIME = new Date('2020-01-01T00:00:00Z');
+const LAST_MODIFIED = 'Wed, 01 Jan 2020 00:00:00 GMT';
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Cache an expired tile with metadata
+ * @param {TileStorage} storage The storage
+ * @returns {Promise<string>} The tile file path
+ */
+async function writeExpiredTile(storage) {
+  const filePath = await storage.writeTile(0, 0, 1, createPngTile(1));
+  const metadata = { etag: '"v1"', lastModified: LAST_MODIFIED, contentType: 'image/png', size: createPngTile(1).length, fetchedAt: OLD_TIME.toISOString() };
+  await writeTileMetadata(filePath, metadata, storage.tempFolder);
+  await fs.utimes(filePath, OLD_TIME, OLD_TIME);
+  return filePath;
+}
+
+describe('getRevalidationHeaders', () => {
+  it('sends the stored ETag and Last-Modified', () => {
+    assert.deepEqual(getRevalidationHeaders({ etag: '"v1"', lastModified: LAST_MODIFIED }), {
+      'If-None-Match': '"v1"',
+      'If-Modified-Since': LAST_MODIFIED
+    });
+    assert.deepEqual(getRevalidationHeaders({ etag: null, lastModified: null }), {});
+    assert.deepEqual(getRevalidationHeaders(null), {});
+  });
+});
+
+describe('metadata of downloaded tiles', () => {
+  it('stores the response headers next to a new tile', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'ETag': '"v1"', 'Last-Modified': LAST_MODIFIED });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+
+    await quietly(() => new TileDownloader(config).downloadTile('Test', 0, 0, 1));
+    const metadata = await readTileMetadata(getTileStorage(config, 'Test').getTilePath(0, 0, 1));
+    assert.equal(metadata.etag, '"v1"');
+    assert.equal(metadata.lastModified, LAST_MODIFIED);
+    assert.equal(metadata.contentType, 'image/png');
+    assert.equal(metadata.size, createPngTile(1).length);
+    assert.ok(Date.now() - Date.parse(metadata.fetchedAt) < 60000);
+  });
+
+  it('keeps an expired tile the server reports as unchanged and resets its age', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(304);
+      res.end();
+    });
+    config = await createTestConfig({}, { Url: server.url, TimeSpan: '1' });
+    const storage = getTileStorage(config, 'Test');
+    const filePath = await writeExpiredTile(storage);
+
+    const downloader = new TileDownloader(config);
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 0, 0, 1)), true);
+    assert.equal(downloader.stats.revalidatedTiles, 1);
+    assert.equal(server.requests[0].headers['if-none-match'], '"v1"');
+    assert.equal(server.requests[0].headers['if-modified-since'], LAST_MODIFIED);
+
+    assert.deepEqual(await fs.readFile(filePath), createPngTile(1));
+    assert.equal((await readTileMetadata(filePath)).etag, '"v1"');
+    assert.ok(Date.now() - (await storage.statTile(0, 0, 1)).mtimeMs < 60000);
+  });
+
+  it('replaces an expired tile the server has changed', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png', 'ETag': '"v2"' });
+      res.end(createPngTile(2));
+    });
+    config = await createTestConfig({}, { Url: server.url, TimeSpan: '1' });
+    const filePath = await writeExpiredTile(getTileStorage(config, 'Test'));
+
+    const downloader = new TileDownloader(config);
+    await quietly(() => downloader.downloadTile('Test', 0, 0, 1));
+    assert.equal(downloader.stats.refreshedTiles, 1);
+    assert.deepEqual(await fs.readFile(filePath), createPngTile(2));
+    assert.equal((await readTileMetadata(filePath)).etag, '"v2"');
+  });
+});
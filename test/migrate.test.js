@@ -0,0 +1,114 @@
+/**
+ * Tests for cache migration between layouts and folders
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { CacheMigrator } from '../src/migrate.js';
+import { getMetadataPath, writeTileMetadata } from '../src/metadata.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, quietly } from './helpers.js';
+
+let config = null;
+
+afterEach(async () => {
+  await fs.remove(config.TestFolder);
+});
+
+/**
+ * Write tiles with metadata to a storage
+ * @param {TileStorage} storage The storage
+ * @param {Array<Array<number>>} tiles The tiles as [x, y, z]
+ * @returns {Promise<void>}
+ */
+async function writeTiles(storage, tiles) {
+  for (const [x, y, z] of tiles) {
+    const filePath = await storage.writeTile(x, y, z, createPngTile(x));
+    await writeTileMetadata(filePath, { etag: `"${x}"`, size: createPngTile(x).length }, storage.tempFolder);
+  }
+}
+
+describe('CacheMigrator', () => {
+  it('copies tiles and metadata to another folder through its temp folder', async () => {
+    config = await createTestConfig();
+    await writeTiles(getTileStorage(config, 'Test'), [[0, 0, 1], [1, 0, 1]]);
+    const toFolder = path.join(config.TestFolder, 'copy');
+
+    const stats = await quietly(() => new CacheMigrator(config).migrate('Test', { toFolder }));
+    assert.equal(stats.migratedTiles, 2);
+    assert.equal(stats.verifiedTiles, 2);
+
+    const target = getTileStorage(config, 'Test', { cacheFolder: toFolder });
+    assert.deepEqual(await target.readTile(1, 0, 1), createPngTile(1));
+    assert.equal(await fs.pathExists(getMetadataPath(target.getTilePath(1, 0, 1))), true);
+    assert.deepEqual(await fs.readdir(target.tempFolder), []);
+  });
+
+  it('moves tiles to another folder and removes them from the source', async () => {
+    config = await createTestConfig();
+    const source = getTileStorage(config, 'Test');
+    await writeTiles(source, [[0, 0, 1], [1, 0, 1]]);
+    const toFolder = path.join(config.TestFolder, 'moved');
+
+    await quietly(() => new CacheMigrator(config).migrate('Test', { toFolder, move: true }));
+    assert.equal(await fs.pathExists(source.rootFolder), false);
+    assert.deepEqual(await getTileStorage(config, 'Test', { cacheFolder: toFolder }).readTile(0, 0, 1), createPngTile(0));
+  });
+
+  it('keeps deduplicated tiles linked when copying them within their cache', async () => {
+    config = await createTestConfig({ Dedup: true });
+    const source = getTileStorage(config, 'Test');
+    await writeTiles(source, [[0, 0, 1]]);
+
+    await quietly(() => new CacheMigrator(config).migrate('Test', { toLayout: 'quadkey' }));
+    const target = getTileStorage(config, 'Test', { layout: 'quadkey' });
+    assert.equal((await fs.stat(target.getTilePath(0, 0, 1))).ino, (await fs.stat(source.getTilePath(0, 0, 1))).ino);
+    assert.equal((await fs.stat(target.getTilePath(0, 0, 1))).nlink, 3);
+  });
+
+  it('round-trips a cache through every layout', async () => {
+    config = await createTestConfig();
+    const tiles = [[0, 0, 0], [1, 0, 1], [3, 5, 3], [385, 638, 10]];
+    await writeTiles(getTileStorage(config, 'Test'), tiles);
+    const migrator = new CacheMigrator(config);
+
+    let from = { fromLayout: 'legacy', fromFolder: config.TileCacheFolder };
+    for (const layout of ['xyz', 'tms', 'quadkey', 'legacy']) {
+      const toFolder = path.join(config.TestFolder, layout);
+      const stats = await quietly(() => migrator.migrate('Test', { ...from, toLayout: layout, toFolder }));
+      assert.deepEqual(stats, { sourceTiles: 4, migratedTiles: 4, skippedTiles: 0, failedTiles: 0, verifiedTiles: 4 }, layout);
+      from = { fromLayout: layout, fromFolder: toFolder };
+    }
+
+    const result = getTileStorage(config, 'Test', { layout: 'legacy', cacheFolder: from.fromFolder });
+    for (const [x, y, z] of tiles) {
+      assert.deepEqual(await result.readTile(x, y, z), createPngTile(x));
+    }
+  });
+
+  it('skips tiles already in the target with resume, and writes nothing in a dry run', async () => {
+    config = await createTestConfig();
+    await writeTiles(getTileStorage(config, 'Test'), [[0, 0, 1], [1, 0, 1]]);
+    const migrator = new CacheMigrator(config);
+    const toFolder = path.join(config.TestFolder, 'xyz');
+
+    const dryRun = await quietly(() => migrator.migrate('Test', { toLayout: 'xyz', toFolder, dryRun: true }));
+    assert.equal(dryRun.migratedTiles, 2);
+    assert.equal(await fs.pathExists(toFolder), false);
+
+    await getTileStorage(config, 'Test', { layout: 'xyz', cacheFolder: toFolder }).writeTile(0, 0, 1, createPngTile(0));
+    const resumed = await quietly(() => migrator.migrate('Test', { toLayout: 'xyz', toFolder, resume: true }));
+    assert.equal(resumed.skippedTiles, 1);
+    assert.equal(resumed.migratedTiles, 1);
+  });
+
+  it('rejects migrations onto the source or between xyz and tms in one folder', async () => {
+    config = await createTestConfig({ Layout: 'xyz' });
+    const migrator = new CacheMigrator(config);
+
+    await assert.rejects(migrator.migrate('Test', { toLayout: 'xyz' }), /Source and target of the migration are the same/);
+    await assert.rejects(migrator.migrate('Test', { toLayout: 'tms' }), /cannot be migrated within the same folder/);
+  });
+});
@@ -0,0 +1,80 @@
+/**
+ * Tests for request rate limits, the bandwidth cap and the User-Agent
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileDownloader } from '../src/downloader.js';
+import { RateLimiter, getRateLimitHost } from '../src/ratelimit.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+describe('getRateLimitHost', () => {
+  it('shares one host between the subdomains of a URL template', () => {
+    assert.equal(getRateLimitHost('https://{s}.tile.openstreetmap.org/{z}/{x}/{y}.png'), 'tile.openstreetmap.org');
+    assert.equal(getRateLimitHost('https://a.tile.openstreetmap.org/{z}/{x}/{y}.png'), 'a.tile.openstreetmap.org');
+    assert.equal(getRateLimitHost('http://Tiles.Example.com:8080/{z}/{x}/{y}'), 'tiles.example.com:8080');
+  });
+});
+
+describe('RateLimiter', () => {
+  it('computes the wait of a sliding window', () => {
+    const limiter = new RateLimiter();
+    assert.equal(limiter.getWindowWait([100, 200], 1000, 1000, 3), 0);
+    assert.equal(limiter.getWindowWait([100, 200, 300], 1000, 1000, 3), 100);
+    assert.equal(limiter.getWindowWait([100, 200, 300], 1000, 1000, 2), 200);
+    assert.equal(limiter.getWindowWait([100, 200, 300], 1000, 1000, null), 0);
+  });
+
+  it('holds requests to a host past its limit per second', async () => {
+    const limiter = new RateLimiter();
+    const limits = { MaxRequestsPerSecond: 4 };
+    const start = Date.now();
+
+    await Promise.all(Array.from({ length: 5 }, () => limiter.acquire('example.com', limits)));
+    assert.ok(Date.now() - start >= 900);
+
+    // Other hosts have their own limit
+    const otherStart = Date.now();
+    await limiter.acquire('example.org', limits);
+    assert.ok(Date.now() - otherStart < 500);
+  });
+
+  it('caps the bandwidth of all downloads together', async () => {
+    const limiter = new RateLimiter();
+    const start = Date.now();
+
+    await limiter.consumeBandwidth(1000, 10000);
+    await limiter.consumeBandwidth(1000, 10000);
+    assert.ok(Date.now() - start >= 180);
+
+    const uncapped = Date.now();
+    await limiter.consumeBandwidth(1000000, null);
+    assert.ok(Date.now() - uncapped < 500);
+  });
+});
+
+describe('User-Agent', () => {
+  it('sends the User-Agent of the tile map', async () => {
+    server = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(1));
+    });
+    config = await createTestConfig({ UserAgent: 'global-agent' }, { Url: server.url, UserAgent: 'test-agent/1.0' });
+
+    await quietly(() => new TileDownloader(config).downloadTile('Test', 0, 0, 1));
+    assert.equal(server.requests[0].headers['user-agent'], 'test-agent/1.0');
+  });
+});
@@ -0,0 +1,156 @@
+/**
+ * Tests for the tile server and the caching proxy
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { TileServer, TileProxyServer, getContentType } from '../src/server.js';
+import { getFailedJournalPath } from '../src/failures.js';
+import { writeTileMetadata } from '../src/metadata.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+let config = null;
+let upstream = null;
+let tileServer = null;
+
+afterEach(async () => {
+  await tileServer?.close();
+  await upstream?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  tileServer = null;
+  upstream = null;
+  config = null;
+});
+
+/**
+ * Start a tile server on a free local port
+ * @param {TileServer} server The server
+ * @returns {Promise<string>} Its base URL
+ */
+async function listen(server) {
+  tileServer = server;
+  await server.listen(0, '127.0.0.1');
+  return `http://127.0.0.1:${server.server.address().port}`;
+}
+
+describe('getContentType', () => {
+  it('maps tile formats to content types', () => {
+    assert.equal(getContentType('PNG'), 'image/png');
+    assert.equal(getContentType('jpg'), 'image/jpeg');
+    assert.equal(getContentType('pbf'), 'application/x-protobuf');
+    assert.equal(getContentType('tiff'), 'application/octet-stream');
+  });
+});
+
+describe('TileServer', () => {
+  it('serves a cached tile with caching headers', async () => {
+    config = await createTestConfig({}, { TimeSpan: '7' });
+    const storage = getTileStorage(config, 'Test');
+    const filePath = await storage.writeTile(0, 1, 1, createPngTile(4));
+    await writeTileMetadata(filePath, { etag: '"v1"' }, storage.tempFolder);
+    const baseUrl = await listen(new TileServer(config));
+
+    const response = await fetch(`${baseUrl}/Test/1/0/1.png`);
+    assert.equal(response.status, 200);
+    assert.equal(response.headers.get('content-type'), 'image/png');
+    assert.equal(response.headers.get('cache-control'), `public, max-age=${7 * 24 * 60 * 60}`);
+    assert.equal(response.headers.get('etag'), '"v1"');
+    assert.equal(response.headers.get('access-control-allow-origin'), '*');
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), createPngTile(4));
+
+    const head = await fetch(`${baseUrl}/Test/1/0/1.png`, { method: 'HEAD' });
+    assert.equal(head.status, 200);
+    assert.equal(head.headers.get('content-length'), String(createPngTile(4).length));
+  });
+
+  it('answers conditional requests with 304', async () => {
+    config = await createTestConfig();
+    const storage = getTileStorage(config, 'Test');
+    const filePath = await storage.writeTile(0, 0, 1, createPngTile(4));
+    await writeTileMetadata(filePath, { etag: '"v1"' }, storage.tempFolder);
+    const baseUrl = await listen(new TileServer(config));
+
+    const first = await fetch(`${baseUrl}/Test/1/0/0.png`);
+    const lastModified = first.headers.get('last-modified');
+    await first.arrayBuffer();
+
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/0.png`, { headers: { 'If-None-Match': '"v0", "v1"' } })).status, 304);
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/0.png`, { headers: { 'If-None-Match': '"v0"' } })).status, 200);
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/0.png`, { headers: { 'If-Modified-Since': lastModified } })).status, 304);
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/0.png`, { headers: { 'If-Modified-Since': 'Wed, 01 Jan 2020 00:00:00 GMT' } })).status, 200);
+  });
+
+  it('answers 404 for missing tiles, unknown tile maps and wrong formats, 400 for malformed URLs', async () => {
+    config = await createTestConfig();
+    await getTileStorage(config, 'Test').writeTile(0, 0, 1, createPngTile(4));
+    const baseUrl = await listen(new TileServer(config));
+
+    for (const tilePath of ['/Test/1/1/1.png', '/Other/1/0/0.png', '/Test/1/0/0.jpg', '/Test/1/2/0.png', '/Test/99/0/0.png', '/Test/1/0']) {
+      assert.equal((await quietly(() => fetch(`${baseUrl}${tilePath}`))).status, 404, tilePath);
+    }
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/%E0%A4%A.png`)).status, 400);
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/0.png`, { method: 'POST' })).status, 405);
+  });
+
+  it('lists the tile maps', async () => {
+    config = await createTestConfig();
+    const baseUrl = await listen(new TileServer(config));
+
+    assert.deepEqual(await (await fetch(`${baseUrl}/tilemaps`)).json(), [
+      { name: 'Test', format: 'png', tiles: '/Test/{z}/{x}/{y}.png' }
+    ]);
+  });
+});
+
+describe('TileProxyServer', () => {
+  it('downloads, stores and serves a missing tile once', async () => {
+    upstream = await startTileServer((req, res) => {
+      res.writeHead(200, { 'Content-Type': 'image/png' });
+      res.end(createPngTile(3));
+    });
+    config = await createTestConfig({}, { Url: upstream.url });
+    const baseUrl = await listen(new TileProxyServer(config));
+
+    const response = await quietly(() => fetch(`${baseUrl}/Test/1/0/1.png`));
+    assert.equal(response.status, 200);
+    assert.deepEqual(Buffer.from(await response.arrayBuffer()), createPngTile(3));
+    assert.equal(await getTileStorage(config, 'Test').hasTile(0, 1, 1), true);
+
+    // The second request is served from the cache
+    assert.equal((await fetch(`${baseUrl}/Test/1/0/1.png`)).status, 200);
+    assert.equal(upstream.requests.length, 1);
+  });
+
+  it('answers 404 for tiles the upstream does not have, 502 for upstream errors', async () => {
+    upstream = await startTileServer((req, res, tile) => {
+      res.writeHead(tile.x === 0 ? 404 : 500);
+      res.end();
+    });
+    config = await createTestConfig({}, { Url: upstream.url });
+    const baseUrl = await listen(new TileProxyServer(config));
+
+    assert.equal((await quietly(() => fetch(`${baseUrl}/Test/1/0/0.png`))).status, 404);
+    assert.equal((await quietly(() => fetch(`${baseUrl}/Test/1/1/0.png`))).status, 502);
+  });
+
+  it('keeps proxy misses out of the failed download journal', async () => {
+    upstream = await startTileServer((req, res) => {
+      res.writeHead(404);
+      res.end();
+    });
+    config = await createTestConfig({}, { Url: upstream.url });
+    const proxy = new TileProxyServer(config);
+    const baseUrl = await listen(proxy);
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal((await quietly(() => fetch(`${baseUrl}/Test/1/0/0.png`))).status, 404);
+    }
+    assert.equal(upstream.requests.length, 3);
+    assert.equal(await fs.pathExists(getFailedJournalPath(config, 'Test')), false);
+    assert.deepEqual(proxy.downloader.failedDownloads, []);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Tests for the cache layouts and tile storage
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import path from 'path';
+import { getTileStorage, getLayout, getMicrosoftVETile, parseMicrosoftVETile } from '../src/storage.js';
+import { createPngTile, createTestConfig } from './helpers.js';
+
+const TILES = [[0, 0, 0], [1, 0, 1], [3, 5, 3], [385, 638, 10], [123456, 234567, 18]];
+
+let config = null;
+
+afterEach(async () => {
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  config = null;
+});
+
+describe('Microsoft VE quadkeys', () => {
+  it('encodes and decodes tiles', () => {
+    assert.equal(getMicrosoftVETile(0, 0, 0), '_');
+    assert.equal(getMicrosoftVETile(3, 3, 5), '213');
+    for (const [x, y, z] of TILES) {
+      assert.deepEqual(parseMicrosoftVETile(getMicrosoftVETile(z, x, y)), { x, y, z });
+    }
+  });
+
+  it('rejects strings that are not quadkeys', () => {
+    assert.equal(parseMicrosoftVETile('0124'), null);
+    assert.equal(parseMicrosoftVETile(''), null);
+  });
+});
+
+describe('cache layouts', () => {
+  it('use the documented paths', () => {
+    const getPath = name => getLayout(name).getRelativePath('OSM', 3, 5, 3, 'png');
+    assert.equal(getPath('legacy'), path.join('2', '1', '3', 'OSM_03_00000003_00000005.png'));
+    assert.equal(getPath('xyz'), path.join('3', '3', '5.png'));
+    assert.equal(getPath('tms'), path.join('3', '3', '2.png'));
+    assert.equal(getPath('quadkey'), '213.png');
+  });
+
+  it('decode every path they create back into the tile', () => {
+    for (const name of ['legacy', 'xyz', 'tms', 'quadkey']) {
+      const layout = getLayout(name);
+      for (const [x, y, z] of TILES) {
+        assert.deepEqual(layout.parseRelativePath('OSM', layout.getRelativePath('OSM', x, y, z, 'png')), { x, y, z }, `${name} ${z}/${x}/${y}`);
+      }
+    }
+  });
+
+  it('ignore files that are not tiles of the layout', () => {
+    assert.equal(getLayout('legacy').parseRelativePath('OSM', path.join('2', 'OSM_03_00000003_00000005.png')), null);
+    assert.equal(getLayout('legacy').parseRelativePath('OSM', 'Other_00_00000000_00000000.png'), null);
+    assert.equal(getLayout('xyz').parseRelativePath('OSM', path.join('3', '3', '5.png.meta.json')), null);
+    assert.equal(getLayout('quadkey').parseRelativePath('OSM', '213.png.meta.json'), null);
+  });
+
+  it('are chosen by name, defaulting to legacy', () => {
+    assert.equal(getLayout().name, 'legacy');
+    assert.equal(getLayout('XYZ').name, 'xyz');
+    assert.throws(() => getLayout('s3'), /Unknown cache layout "s3"/);
+  });
+});
+
+describe('TileStorage', () => {
+  it('uses the layout of the tile map over the global one', async () => {
+    config = await createTestConfig({ Layout: 'tms' }, { Layout: 'xyz' });
+    assert.equal(getTileStorage(config, 'Test').layout.name, 'xyz');
+    assert.equal(getTileStorage(config, 'Test', { layout: 'quadkey' }).layout.name, 'quadkey');
+  });
+
+  it('walks the tiles it has written, skipping metadata sidecars', async () => {
+    config = await createTestConfig({ Layout: 'xyz' });
+    const storage = getTileStorage(config, 'Test');
+    for (const [x, y, z] of TILES) {
+      await storage.writeTile(x, y, z, createPngTile(z));
+    }
+    await fs.writeFile(`${storage.getTilePath(0, 0, 0)}.meta.json`, '{}');
+
+    const walked = [];
+    for await (const tile of storage.walkTiles()) {
+      walked.push([tile.x, tile.y, tile.z]);
+      assert.equal(tile.filePath, storage.getTilePath(tile.x, tile.y, tile.z));
+    }
+    assert.deepEqual(walked.sort(), [...TILES].sort());
+    assert.deepEqual(await storage.readTile(3, 5, 3), createPngTile(3));
+    assert.equal(await storage.readTile(4, 5, 3), null);
+  });
+});
@@ -0,0 +1,63 @@
+/**
+ * Tests for atomic cache writes
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawnSync } from 'child_process';
+import fs from 'fs-extra';
+import path from 'path';
+import { getTempFolder, writeFileAtomic, linkFileAtomic, removeStaleTempFiles } from '../src/tempfiles.js';
+import { createTestConfig, quietly } from './helpers.js';
+
+let config = null;
+
+afterEach(async () => {
+  await fs.remove(config.TestFolder);
+});
+
+/**
+ * Get the process ID of a process that has exited
+ * @returns {number} The process ID
+ */
+function getExitedPid() {
+  return spawnSync(process.execPath, ['-e', '']).pid;
+}
+
+describe('atomic writes', () => {
+  it('writes and replaces a file without leaving temp files', async () => {
+    config = await createTestConfig();
+    const tempFolder = getTempFolder(config.TileCacheFolder);
+    const filePath = path.join(config.TileCacheFolder, 'Test', '1', '0', '0.png');
+
+    await writeFileAtomic(filePath, 'first', tempFolder);
+    await writeFileAtomic(filePath, 'second', tempFolder);
+    assert.equal(await fs.readFile(filePath, 'utf8'), 'second');
+    assert.deepEqual(await fs.readdir(tempFolder), []);
+  });
+
+  it('replaces a file with a link to another one', async () => {
+    config = await createTestConfig();
+    const tempFolder = getTempFolder(config.TileCacheFolder);
+    const existingPath = path.join(config.TileCacheFolder, 'a.png');
+    const filePath = path.join(config.TileCacheFolder, 'b.png');
+    await writeFileAtomic(existingPath, 'tile', tempFolder);
+    await writeFileAtomic(filePath, 'other', tempFolder);
+
+    await linkFileAtomic(existingPath, filePath, tempFolder);
+    await linkFileAtomic(existingPath, filePath, tempFolder);
+    assert.equal((await fs.stat(filePath)).ino, (await fs.stat(existingPath)).ino);
+    assert.deepEqual(await fs.readdir(tempFolder), []);
+  });
+
+  it('removes only the temp files of processes that are gone', async () => {
+    config = await createTestConfig();
+    const tempFolder = getTempFolder(config.TileCacheFolder);
+    await fs.ensureDir(tempFolder);
+    await fs.writeFile(path.join(tempFolder, `${getExitedPid()}-1-0.png`), '');
+    await fs.writeFile(path.join(tempFolder, `${process.pid}-1-0.png`), '');
+
+    assert.equal(await quietly(() => removeStaleTempFiles(config.TileCacheFolder)), 1);
+    assert.deepEqual(await fs.readdir(tempFolder), [`${process.pid}-1-0.png`]);
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Tests for tile content validation
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { getValidationSettings } from '../src/config.js';
+import { TileDownloader } from '../src/downloader.js';
+import { detectImageFormat, checkImageIntegrity, hashTile, validateTile } from '../src/validation.js';
+import { getTileStorage } from '../src/storage.js';
+import { createPngTile, createTestConfig, startTileServer, quietly } from './helpers.js';
+
+const PNG_MAP = { Name: 'Test', Format: 'png' };
+const JPEG = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0, 0xff, 0xd9]);
+
+let config = null;
+let server = null;
+
+afterEach(async () => {
+  await server?.close();
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  server = null;
+  config = null;
+});
+
+/**
+ * Validate tile data with the default settings, changed by the given ones
+ * @param {Buffer} data The tile data
+ * @param {Object} options Optional {contentType, tileMap, settings}
+ * @returns {string|null} The rejection reason, or null if the tile is valid
+ */
+function getRejection(data, { contentType = 'image/png', tileMap = PNG_MAP, settings = {} } = {}) {
+  const rejection = validateTile(data, contentType, tileMap, getValidationSettings({}, { Validation: settings }));
+  return rejection ? rejection.reason : null;
+}
+
+describe('detectImageFormat', () => {
+  it('recognizes images by their signature', () => {
+    assert.equal(detectImageFormat(createPngTile()), 'png');
+    assert.equal(detectImageFormat(JPEG), 'jpeg');
+    assert.equal(detectImageFormat(Buffer.from('GIF89a......;')), 'gif');
+    assert.equal(detectImageFormat(Buffer.from('<html></html>')), null);
+  });
+});
+
+describe('checkImageIntegrity', () => {
+  it('finds truncated and damaged PNG images', () => {
+    const png = createPngTile();
+    assert.equal(checkImageIntegrity(png), null);
+    assert.match(checkImageIntegrity(png.subarray(0, png.length - 12)), /no IEND chunk/);
+
+    const damaged = Buffer.from(png);
+    damaged[damaged.length - 20] ^= 0xff;
+    assert.match(checkImageIntegrity(damaged), /bad checksum/);
+  });
+
+  it('finds JPEG images without an end marker', () => {
+    assert.equal(checkImageIntegrity(JPEG), null);
+    assert.match(checkImageIntegrity(JPEG.subarray(0, 6)), /no end of image marker/);
+  });
+});
+
+describe('validateTile', () => {
+  it('accepts intact images and anything when disabled', () => {
+    assert.equal(getRejection(createPngTile()), null);
+    assert.equal(getRejection(Buffer.alloc(0), { settings: { Enabled: false } }), null);
+  });
+
+  it('rejects empty responses, error pages and corrupt images', () => {
+    assert.equal(getRejection(Buffer.alloc(0)), 'empty');
+    assert.equal(getRejection(Buffer.from('<html>Error</html>'), { contentType: 'text/html' }), 'content-type');
+    assert.equal(getRejection(Buffer.from('<html>Error</html>')), 'format');
+    assert.equal(getRejection(createPngTile().subarray(0, 30)), 'corrupt');
+  });
+
+  it('rejects other image formats only with StrictFormat', () => {
+    assert.equal(getRejection(JPEG), null);
+    assert.equal(getRejection(JPEG, { settings: { StrictFormat: true } }), 'format');
+  });
+
+  it('rejects tiles outside the size limits and known placeholders', () => {
+    const png = createPngTile();
+    assert.equal(getRejection(png, { settings: { MinBytes: png.length + 1 } }), 'too-small');
+    assert.equal(getRejection(png, { settings: { MaxBytes: png.length - 1 } }), 'too-large');
+    assert.equal(getRejection(png, { settings: { PlaceholderHashes: [hashTile(png)] } }), 'placeholder');
+  });
+
+  it('only checks the size and Content-Type of formats that are not images', () => {
+    const tileMap = { Name: 'Vector', Format: 'pbf' };
+    assert.equal(getRejection(Buffer.from([0x1a, 0x02]), { tileMap, contentType: 'application/x-protobuf' }), null);
+    assert.equal(getRejection(Buffer.from('{}'), { tileMap, contentType: 'application/json' }), 'content-type');
+  });
+});
+
+describe('validating downloads', () => {
+  it('keeps rejected responses out of the cache and counts them by reason', async () => {
+    server = await startTileServer((req, res, tile) => {
+      res.writeHead(200, { 'Content-Type': tile.x === 0 ? 'text/html' : 'image/png' });
+      res.end(tile.x === 0 ? '<html>Quota exceeded</html>' : createPngTile(1));
+    });
+    config = await createTestConfig({}, { Url: server.url });
+    const downloader = new TileDownloader(config);
+
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 0, 0, 1)), false);
+    assert.equal(await quietly(() => downloader.downloadTile('Test', 1, 0, 1)), true);
+    assert.equal(downloader.stats.rejectedTiles, 1);
+    assert.deepEqual(downloader.stats.rejectionCounts, { 'content-type': 1 });
+    assert.equal(await getTileStorage(config, 'Test').hasTile(0, 0, 1), false);
+  });
+});
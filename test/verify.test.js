@@ -0,0 +1,99 @@
+/**
+ * Tests for verifying and repairing cached tiles
+ */
+
+import { describe, it, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs-extra';
+import { loadFailedDownloads } from '../src/failures.js';
+import { getMetadataPath } from '../src/metadata.js';
+import { getTileStorage } from '../src/storage.js';
+import { hashTile } from '../src/validation.js';
+import { CacheVerifier } from '../src/verify.js';
+import { createPngTile, createTestConfig, quietly } from './helpers.js';
+
+const PLACEHOLDER = createPngTile(9);
+
+let config = null;
+
+afterEach(async () => {
+  if (config) {
+    await fs.remove(config.TestFolder);
+  }
+  config = null;
+});
+
+/**
+ * Fill the cache with a valid, an empty, a truncated and a placeholder tile
+ * @returns {Promise<Object>} The paths of the tiles {valid, empty, corrupt, placeholder}
+ */
+async function createCache() {
+  config = await createTestConfig({ Validation: { PlaceholderHashes: [hashTile(PLACEHOLDER)] } });
+  const storage = getTileStorage(config, 'Test');
+  const empty = await storage.writeTile(1, 0, 1, Buffer.alloc(0));
+  await fs.writeJson(getMetadataPath(empty), { contentType: 'image/png' });
+
+  return {
+    valid: await storage.writeTile(0, 0, 1, createPngTile(1)),
+    empty,
+    corrupt: await storage.writeTile(0, 1, 1, createPngTile(1).subarray(0, 30)),
+    placeholder: await storage.writeTile(1, 1, 1, PLACEHOLDER)
+  };
+}
+
+describe('CacheVerifier', () => {
+  it('reports empty, corrupt and suspicious tiles without changing the cache', async () => {
+    const paths = await createCache();
+
+    const stats = await quietly(() => new CacheVerifier(config).verify('Test'));
+    assert.deepEqual(stats, {
+      checkedTiles: 4,
+      validTiles: 1,
+      emptyTiles: 1,
+      corruptTiles: 1,
+      suspiciousTiles: 1,
+      deletedTiles: 0,
+      queuedTiles: 0
+    });
+    for (const filePath of Object.values(paths)) {
+      assert.equal(await fs.pathExists(filePath), true);
+    }
+  });
+
+  it('deletes bad tiles with their sidecars, and suspicious ones only when asked', async () => {
+    const paths = await createCache();
+    const verifier = new CacheVerifier(config);
+
+    assert.equal((await quietly(() => verifier.verify('Test', { delete: true }))).deletedTiles, 2);
+    assert.equal(await fs.pathExists(paths.empty), false);
+    assert.equal(await fs.pathExists(getMetadataPath(paths.empty)), false);
+    assert.equal(await fs.pathExists(paths.corrupt), false);
+    assert.equal(await fs.pathExists(paths.placeholder), true);
+
+    assert.equal((await quietly(() => verifier.verify('Test', { delete: true, includeSuspicious: true }))).deletedTiles, 1);
+    assert.equal(await fs.pathExists(paths.placeholder), false);
+    assert.equal(await fs.pathExists(paths.valid), true);
+  });
+
+  it('queues deleted tiles for re-download', async () => {
+    await createCache();
+
+    const stats = await quietly(() => new CacheVerifier(config).verify('Test', { requeue: true }));
+    assert.equal(stats.queuedTiles, 2);
+    const entries = await loadFailedDownloads(config, { tileMap: 'Test' });
+    assert.deepEqual(entries.map(entry => `${entry.z}/${entry.x}/${entry.y}`).sort(), ['1/0/1', '1/1/0']);
+    assert.ok(entries.every(entry => entry.errorClass === 'invalid-tile'));
+  });
+
+  it('checks only the tiles of an area and zoom range', async () => {
+    await createCache();
+    const verifier = new CacheVerifier(config);
+
+    const area = { type: 'bbox', bbox: [-170, 10, -10, 80] };
+    const stats = await quietly(() => verifier.verify('Test', { area, minZoom: 1, maxZoom: 1 }));
+    assert.equal(stats.checkedTiles, 1);
+    assert.equal(stats.validTiles, 1);
+
+    assert.equal((await quietly(() => verifier.verify('Test', { minZoom: 2 }))).checkedTiles, 0);
+  });
+});